@@ -0,0 +1,460 @@
+// In-process emulator of the OVMS Duktape scripting runtime so that
+// lib/abrp.js can be exercised end-to-end under Node and Jest.
+// https://docs.openvehicles.com/en/latest/userguide/scripting.html
+
+const TICKERS = [1, 10, 60, 300, 600, 900, 3600]
+
+/**
+ * Creates a minimal PubSub implementation compatible with the pubsub-js API
+ * bundled with OVMS. Publishing `a.b.c` also notifies `a.b` and `a`
+ * subscribers, matching the hierarchical addressing of pubsub-js.
+ */
+function createPubSub() {
+  let lastToken = 0
+  const topics = {}
+
+  function subscribe(topic, callback) {
+    const token = 'uid_' + ++lastToken
+    topics[topic] = topics[topic] || {}
+    topics[topic][token] = callback
+    return token
+  }
+
+  function unsubscribe(value) {
+    let found = false
+    Object.keys(topics).forEach((topic) => {
+      if (topic === value) {
+        delete topics[topic]
+        found = true
+        return
+      }
+      Object.keys(topics[topic]).forEach((token) => {
+        if (token === value || topics[topic][token] === value) {
+          delete topics[topic][token]
+          found = true
+        }
+      })
+    })
+    return found && value
+  }
+
+  function publish(topic, data) {
+    const parts = topic.split('.')
+    let delivered = false
+    for (let i = parts.length; i > 0; i--) {
+      const subscribers = topics[parts.slice(0, i).join('.')]
+      if (!subscribers) {
+        continue
+      }
+      // Snapshot so handlers may (un)subscribe while being notified
+      Object.keys(subscribers).forEach((token) => {
+        if (subscribers[token]) {
+          delivered = true
+          subscribers[token](topic, data)
+        }
+      })
+    }
+    return delivered
+  }
+
+  function count(topic) {
+    return topics[topic] ? Object.keys(topics[topic]).length : 0
+  }
+
+  return { subscribe, unsubscribe, publish, count }
+}
+
+/**
+ * Creates an OVMS runtime emulator.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.utc] - Initial `m.time.utc` value. Values before
+ *   2000 emulate a module that has not yet obtained a valid time.
+ * @param {Object} [options.metrics] - Initial metric values keyed by name.
+ * @param {Object} [options.config] - Initial config values keyed by param,
+ *   then by instance, e.g. `{ usr: { 'abrp.user_token': 'x' } }`.
+ * @param {Object} [options.files] - Initial VFS file contents keyed by path.
+ * @returns {Object} The emulator. Call `install()` to expose the OVMS globals.
+ */
+function createOvms(options) {
+  options = options || {}
+
+  const pubsub = createPubSub()
+  const values = {}
+  const staleMetrics = {}
+  const config = {}
+  const files = Object.assign({}, options.files)
+  const output = []
+  const notifications = []
+  const requests = []
+  const pending = []
+  const installed = {}
+  let uptime = 0
+  let handler = () => ({ statusCode: 200, statusText: 'OK', body: '{}' })
+
+  // Clock
+
+  function defer(delay, callback) {
+    pending.push({ due: uptime + (delay || 0), callback })
+  }
+
+  function runPending(all) {
+    const due = pending.filter((item) => all || item.due <= uptime)
+    due.forEach((item) => {
+      pending.splice(pending.indexOf(item), 1)
+      item.callback()
+    })
+    return due.length
+  }
+
+  /**
+   * Advances the emulated clock second by second, delivering due async
+   * callbacks (HTTP responses) and publishing the `ticker.*` events.
+   */
+  function tick(seconds) {
+    seconds = seconds === undefined ? 1 : seconds
+    for (let i = 0; i < seconds; i++) {
+      uptime++
+      values['m.time.utc'] = values['m.time.utc'] + 1
+      runPending()
+      TICKERS.forEach((period) => {
+        if (uptime % period === 0) {
+          pubsub.publish('ticker.' + period)
+        }
+      })
+    }
+  }
+
+  function setTime(utc) {
+    values['m.time.utc'] = utc
+  }
+
+  // Metrics
+
+  const OvmsMetrics = {
+    AsFloat: (name) => parseFloat(values[name]),
+    AsJSON: (name) => JSON.stringify(values[name]),
+    GetValues: (filter) => {
+      const names = Array.isArray(filter)
+        ? filter
+        : Object.keys(values).filter((name) => name.indexOf(filter || '') >= 0)
+      const result = {}
+      names.forEach((name) => {
+        result[name] = values[name]
+      })
+      return result
+    },
+    HasValue: (name) => values[name] !== undefined && values[name] !== null,
+    IsStale: (name) => !!staleMetrics[name],
+    Value: (name) => values[name],
+  }
+
+  const metrics = {
+    get: (name) => values[name],
+    set: (name, value) => {
+      if (typeof name === 'object') {
+        Object.keys(name).forEach((key) => metrics.set(key, name[key]))
+        return
+      }
+      values[name] = value
+      delete staleMetrics[name]
+    },
+    clear: (name) => {
+      delete values[name]
+      delete staleMetrics[name]
+    },
+    stale: (name, isStale) => {
+      staleMetrics[name] = isStale === undefined ? true : isStale
+    },
+  }
+
+  // Config
+
+  const OvmsConfig = {
+    Delete: (param, instance) => {
+      if (config[param]) {
+        delete config[param][instance]
+      }
+      pubsub.publish('config.changed')
+    },
+    Get: (param, instance, defaultValue) => {
+      const value = config[param] && config[param][instance]
+      return value === undefined ? defaultValue : value
+    },
+    GetValues: (param, prefix) => {
+      const result = {}
+      prefix = prefix || ''
+      Object.keys(config[param] || {}).forEach((instance) => {
+        if (instance.indexOf(prefix) === 0) {
+          result[instance.substring(prefix.length)] = config[param][instance]
+        }
+      })
+      return result
+    },
+    Params: () => Object.keys(config),
+    Set: (param, instance, value) => {
+      config[param] = config[param] || {}
+      config[param][instance] = String(value)
+      pubsub.publish('config.changed')
+    },
+    SetValues: (param, prefix, object) => {
+      config[param] = config[param] || {}
+      Object.keys(object).forEach((key) => {
+        config[param][(prefix || '') + key] = String(object[key])
+      })
+      pubsub.publish('config.changed')
+    },
+  }
+
+  // HTTP
+
+  /**
+   * Records the request and schedules the scripted response. The handler
+   * returns either `{ statusCode, body }` or `{ error }` for a network failure,
+   * and an optional `delay` in seconds before the response is delivered.
+   */
+  function Request(request) {
+    const record = {
+      url: request.url,
+      method: request.post === undefined ? 'GET' : 'POST',
+      headers: request.headers,
+      body: request.post,
+      timeout: request.timeout,
+      uptime,
+    }
+    requests.push(record)
+    const response = handler(record) || {}
+    defer(response.delay, () => {
+      if (response.error) {
+        if (request.fail) request.fail(response.error)
+      } else {
+        record.response = {
+          statusCode: response.statusCode,
+          statusText: response.statusText || '',
+          headers: response.headers || [],
+          body: response.body || '',
+        }
+        if (request.done) request.done(record.response)
+      }
+      if (request.always) request.always()
+    })
+  }
+
+  const http = {
+    requests,
+    flush: () => runPending(true),
+    respondWith: (value) => {
+      handler = typeof value === 'function' ? value : () => value
+    },
+    pending: () => pending.length,
+  }
+
+  // VFS
+
+  /**
+   * File operations complete asynchronously on the next tick, as they run in
+   * a background task on the module.
+   */
+  const VFS = {
+    Load: (request) => {
+      defer(0, () => {
+        if (files[request.path] === undefined) {
+          if (request.fail) request.fail('file not found')
+        } else if (request.done) {
+          request.done(files[request.path])
+        }
+        if (request.always) request.always()
+      })
+    },
+    Save: (request) => {
+      defer(0, () => {
+        const previous = (request.append && files[request.path]) || ''
+        files[request.path] = previous + request.data
+        if (request.done) request.done()
+        if (request.always) request.always()
+      })
+    },
+  }
+
+  // Commands
+
+  /**
+   * Splits a shell command line into arguments, honouring double quotes.
+   */
+  function parseArgs(line) {
+    const args = []
+    line.replace(/"([^"]*)"|(\S+)/g, (match, quoted, word) => {
+      args.push(quoted !== undefined ? quoted : word)
+    })
+    return args
+  }
+
+  const commands = { children: {} }
+
+  function findCommand(path) {
+    return path
+      ? path
+          .split(' ')
+          .reduce((node, part) => node && node.children[part], commands)
+      : commands
+  }
+
+  /**
+   * Registers a shell command under the parent command path, e.g. 'abrp'.
+   * The execute function is called with the command path and the arguments.
+   * As on the module, a command that is already registered is kept.
+   */
+  function Register(execute, parent, name, title, usage, minArgs, maxArgs) {
+    const node = findCommand(parent)
+    if (!node) {
+      throw new Error('Parent command ' + parent + ' not registered')
+    }
+    if (node.children[name]) {
+      return
+    }
+    node.children[name] = {
+      path: (parent ? parent + ' ' : '') + name,
+      execute,
+      title,
+      usage: usage || '',
+      minArgs: minArgs || 0,
+      maxArgs: maxArgs || 0,
+      children: {},
+    }
+  }
+
+  /**
+   * Unregisters a shell command and its subcommands, given its full path,
+   * e.g. 'abrp status'.
+   */
+  function Unregister(path) {
+    const parts = path.split(' ')
+    const parent = findCommand(parts.slice(0, -1).join(' '))
+    if (!parent || !parent.children[parts[parts.length - 1]]) {
+      return false
+    }
+    delete parent.children[parts[parts.length - 1]]
+    return true
+  }
+
+  /**
+   * Executes a shell command, returning its output. `metrics set` creates
+   * user metrics on first use, as OVMS does for the `usr.` namespace.
+   */
+  function Exec(line) {
+    const args = parseArgs(line)
+    if (args[0] === 'metrics' && args[1] === 'set' && args.length === 4) {
+      if (values[args[2]] === undefined && args[2].indexOf('usr.') !== 0) {
+        return 'Metric ' + args[2] + ' not found'
+      }
+      metrics.set(args[2], args[3])
+      return 'Metric set'
+    }
+
+    let node = commands
+    while (args.length && node.children[args[0]]) {
+      node = node.children[args.shift()]
+    }
+    if (node === commands) {
+      return 'Unrecognised command'
+    }
+    if (!node.execute) {
+      return Object.keys(node.children)
+        .map((name) => name + ' ' + node.children[name].title)
+        .join('\n')
+    }
+    if (args.length < node.minArgs || args.length > node.maxArgs) {
+      return (
+        'Error: wrong number of arguments\nUsage: ' +
+        node.path +
+        ' ' +
+        node.usage
+      )
+    }
+    const start = output.length
+    node.execute(node.path, args)
+    return output.slice(start).join('')
+  }
+
+  // Globals
+
+  const globals = {
+    HTTP: { Request },
+    OvmsConfig,
+    OvmsCommand: { Exec, Register, Unregister },
+    OvmsMetrics,
+    OvmsNotify: {
+      Raise: (type, subtype, message) => {
+        notifications.push({ type, subtype, message })
+      },
+    },
+    PubSub: pubsub,
+    performance: { now: () => uptime * 1000 },
+    print: (text) => {
+      output.push(String(text))
+    },
+    VFS,
+  }
+
+  /**
+   * Exposes the emulated OVMS globals on the given scope (defaults to the
+   * Node global object), remembering any previous values for `uninstall()`.
+   */
+  function install(scope) {
+    scope = scope || global
+    Object.keys(globals).forEach((name) => {
+      installed[name] = {
+        scope,
+        descriptor: Object.getOwnPropertyDescriptor(scope, name),
+      }
+      // Defined rather than assigned, as Node's own `performance` is read-only
+      Object.defineProperty(scope, name, {
+        configurable: true,
+        enumerable: true,
+        writable: true,
+        value: globals[name],
+      })
+    })
+  }
+
+  function uninstall() {
+    Object.keys(installed).forEach((name) => {
+      const previous = installed[name]
+      if (previous.descriptor) {
+        Object.defineProperty(previous.scope, name, previous.descriptor)
+      } else {
+        delete previous.scope[name]
+      }
+      delete installed[name]
+    })
+  }
+
+  // Initial state
+  values['m.time.utc'] = options.utc || 0
+  metrics.set(options.metrics || {})
+  Object.keys(options.config || {}).forEach((param) => {
+    config[param] = Object.assign({}, options.config[param])
+  })
+
+  return {
+    config: OvmsConfig,
+    exec: Exec,
+    globals,
+    http,
+    install,
+    metrics,
+    notifications,
+    output,
+    publish: pubsub.publish,
+    setTime,
+    subscriptions: pubsub.count,
+    tick,
+    uninstall,
+    uptime: () => uptime,
+    vfs: { files },
+  }
+}
+
+module.exports = {
+  createOvms,
+}
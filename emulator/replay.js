@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// Replays a metric recording, made on the module with the `abrp.record_file`
+// setting, through the plugin at accelerated speed and reports what would be
+// sent to ABRP, e.g. to compare settings such as `abrp.bandwidth_saver`.
+//
+// Usage: npm run replay -- <recording> [key=value ...] [--vs key=value ...] [--points]
+//
+// Each `--vs` starts another variant of `usr abrp.*` settings, replayed from
+// scratch and compared with the first. `--points` lists every point sent.
+
+const fs = require('fs')
+const path = require('path')
+const { createOvms } = require('./ovms')
+
+const PLUGIN = path.join(__dirname, '..', 'lib', 'abrp.js')
+const MAX_GAP = 3600 // Longest gap (s) between samples replayed second by second
+const MAX_FLUSHES = 1000 // Requests sending what is still queued after the recording
+
+/**
+ * Events the plugin subscribes to, published on transitions of the metric.
+ */
+const EVENTS = [
+  { metric: 'v.e.on', on: 'vehicle.on', off: 'vehicle.off' },
+  {
+    metric: 'v.c.charging',
+    on: 'vehicle.charge.start',
+    off: 'vehicle.charge.stop',
+  },
+]
+
+/**
+ * Parses a recording into samples, each with the vehicle type and the metric
+ * values keyed by name. Every header line starts a new segment.
+ */
+function parseRecording(text) {
+  const samples = []
+  let header = null
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return
+    }
+    const parsed = JSON.parse(line)
+    if (!Array.isArray(parsed)) {
+      header = parsed
+      if (header.version !== 1) {
+        throw new Error('Unsupported recording version ' + header.version)
+      }
+      return
+    }
+    if (!header) {
+      throw new Error('Line ' + (index + 1) + ' is before the first header')
+    }
+    const values = {}
+    header.metrics.forEach((name, i) => {
+      if (parsed[i] !== null) {
+        values[name] = parsed[i]
+      }
+    })
+    samples.push({ vehicleType: header.vehicle_type, values })
+  })
+  return samples
+}
+
+/**
+ * Evaluates a fresh copy of the plugin against the installed emulator, as
+ * the module loads it, so that every variant starts from scratch.
+ */
+function loadPlugin() {
+  const module = { exports: {} }
+  const source = fs.readFileSync(PLUGIN, 'utf8')
+  new Function('module', 'exports', source)(module, module.exports)
+  return module.exports
+}
+
+/**
+ * Sets the metrics of a sample, publishing the events of any transitions.
+ */
+function applySample(ovms, sample) {
+  if (sample.vehicleType !== ovms.metrics.get('v.type')) {
+    ovms.metrics.set('v.type', sample.vehicleType)
+    ovms.publish('vehicle.type.set')
+  }
+  const previous = {}
+  EVENTS.forEach((event) => {
+    previous[event.metric] = !!ovms.metrics.get(event.metric)
+  })
+  Object.keys(sample.values).forEach((name) => {
+    if (name !== 'm.time.utc') {
+      ovms.metrics.set(name, sample.values[name])
+    }
+  })
+  EVENTS.forEach((event) => {
+    const value = !!ovms.metrics.get(event.metric)
+    if (value !== previous[event.metric]) {
+      ovms.publish(value ? event.on : event.off)
+    }
+  })
+}
+
+/**
+ * Returns the number of entries in the ABRP queue.
+ */
+function queueDepth(ovms) {
+  const match = ovms.exec('abrp queue').match(/ABRP queue: (\d+)/)
+  return match ? Number(match[1]) : 0
+}
+
+/**
+ * Replays samples through the plugin with the given settings, with every
+ * request to ABRP succeeding.
+ *
+ * @param {Array} samples - The samples, see `parseRecording`.
+ * @param {Object} [settings] - `usr abrp.*` config values keyed without the
+ *   `abrp.` prefix.
+ * @returns {Object} The `points` sent to ABRP, the number of `requests`, the
+ *   `bytes` posted and the `queued` points never sent.
+ */
+function replay(samples, settings) {
+  const config = { 'abrp.user_token': 'replay', 'abrp.debug': 'no' }
+  Object.keys(settings || {}).forEach((key) => {
+    config['abrp.' + key] = String(settings[key])
+  })
+  const first = samples[0]
+  const ovms = createOvms({
+    utc: first.values['m.time.utc'] - 1,
+    metrics: { 'v.type': first.vehicleType },
+    config: { usr: config },
+  })
+  ovms.install()
+  try {
+    loadPlugin()
+    samples.forEach((sample) => {
+      applySample(ovms, sample)
+      let gap = sample.values['m.time.utc'] - ovms.metrics.get('m.time.utc')
+      if (gap < 1 || gap > MAX_GAP) {
+        // Time set, or not recording for a long time
+        ovms.setTime(sample.values['m.time.utc'] - 1)
+        gap = 1
+      }
+      ovms.tick(gap)
+    })
+    // Send what is still queued, without the clock running on and collecting
+    // telemetry that is not in the recording
+    for (let i = 0; i < MAX_FLUSHES && queueDepth(ovms) > 0; i++) {
+      ovms.exec('abrp queue flush')
+      ovms.http.flush()
+    }
+
+    const posts = ovms.http.requests.filter(
+      (request) =>
+        request.method === 'POST' && request.url.indexOf('/1/tlm/bulk') >= 0
+    )
+    const points = []
+    posts.forEach((request) => {
+      points.push(...JSON.parse(request.body).data[0].tlm_list)
+    })
+    return {
+      points,
+      requests: posts.length,
+      bytes: posts.reduce(
+        (total, request) => total + Buffer.byteLength(request.body),
+        0
+      ),
+      queued: queueDepth(ovms),
+    }
+  } finally {
+    ovms.uninstall()
+  }
+}
+
+/**
+ * Parses the command line into the recording, the settings variants and
+ * options.
+ */
+function parseArgs(args) {
+  const parsed = { file: null, variants: [{}], showPoints: false }
+  args.forEach((arg) => {
+    if (arg === '--vs') {
+      parsed.variants.push({})
+    } else if (arg === '--points') {
+      parsed.showPoints = true
+    } else if (arg.indexOf('=') > 0) {
+      const index = arg.indexOf('=')
+      const key = arg.substring(0, index).replace(/^abrp\./, '')
+      parsed.variants[parsed.variants.length - 1][key] = arg.substring(
+        index + 1
+      )
+    } else if (!parsed.file) {
+      parsed.file = arg
+    } else {
+      throw new Error('Unexpected argument ' + arg)
+    }
+  })
+  if (!parsed.file) {
+    throw new Error('No recording given')
+  }
+  return parsed
+}
+
+function describeSettings(settings) {
+  const keys = Object.keys(settings)
+  return keys.length
+    ? keys.map((key) => key + '=' + settings[key]).join(' ')
+    : '(defaults)'
+}
+
+function describeChange(value, base) {
+  const change = value - base
+  const percent = base ? ' (' + Math.round((change / base) * 100) + '%)' : ''
+  return (change >= 0 ? '+' : '') + change + percent
+}
+
+function main(args) {
+  const options = parseArgs(args)
+  const samples = parseRecording(fs.readFileSync(options.file, 'utf8'))
+  if (samples.length === 0) {
+    throw new Error('No samples in ' + options.file)
+  }
+  const start = samples[0].values['m.time.utc']
+  const end = samples[samples.length - 1].values['m.time.utc']
+  console.log(
+    options.file + ': ' + samples.length + ' samples, ' + (end - start) + ' s'
+  )
+
+  const results = options.variants.map((settings) => replay(samples, settings))
+  results.forEach((result, index) => {
+    console.log('')
+    console.log(
+      'Variant ' +
+        (index + 1) +
+        ': ' +
+        describeSettings(options.variants[index])
+    )
+    console.log(
+      '  ' +
+        result.points.length +
+        ' points, ' +
+        result.requests +
+        ' requests, ' +
+        result.bytes +
+        ' bytes' +
+        (result.queued ? ', ' + result.queued + ' still queued' : '')
+    )
+    if (index > 0) {
+      const base = results[0]
+      console.log(
+        '  vs variant 1: points ' +
+          describeChange(result.points.length, base.points.length) +
+          ', requests ' +
+          describeChange(result.requests, base.requests) +
+          ', bytes ' +
+          describeChange(result.bytes, base.bytes)
+      )
+    }
+    if (options.showPoints) {
+      result.points.forEach((point) =>
+        console.log('  ' + JSON.stringify(point))
+      )
+    }
+  })
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (error) {
+    console.error(error.message)
+    console.error(
+      'Usage: npm run replay -- <recording> [key=value ...] [--vs key=value ...] [--points]'
+    )
+    process.exitCode = 1
+  }
+}
+
+module.exports = {
+  parseRecording,
+  replay,
+}
@@ -9,24 +9,316 @@ const VERSION = '2.2.0-beta'
 const Logger = logger()
 
 // Configuration constants
-const DEBUG = true
-const BANDWIDTH_SAVER = false // If true, minimizes the amount of data sent
-const MIN_CALIBRATION_SPEED = 70 // kph
-const METRIC_POLL_RATE_DRIVING = 5 // Poll rate during driving (s)
-const METRIC_POLL_RATE_CHARGING = 30 * 60 // Poll rate during charging (s)
-const METRIC_POLL_STALE_CONNECTION = (3 * 60) - 20// 3 minutes for OVMS API Key
-const MAX_TELEMETRY_QUEUE_SIZE = 100
+const SEND_TIMEOUT = 8000 // Bulk request timeout (ms)
+const SEND_BACKOFF_BASE = 10 // Delay after the first failed send (s), doubled for each further failure
+const SEND_BACKOFF_MAX = 30 * 60 // Longest delay between failed sends (s)
+const QUEUE_COMPACT_INTERVAL = 10 * 60 // Shortest time (s) between rewrites of a queue file after sends, to spare the flash
+const MAX_LOG_RECORDS = 100 // Most recent records kept in a record log by default
+const MAX_CHARGE_CURVES = 20 // Most recent DC charge curves kept, as each holds up to 100 points
+const CHARGE_CURVE_SLOW = 0.8 // Fraction of the earlier average power below which a curve point is flagged
+const CONSUMPTION_SEGMENT = 60 // Driving time (s) averaged into one consumption model sample
+const CONSUMPTION_MIN_SEGMENT = 10 // Shorter segments, e.g. between stops, are not used (s)
+const CONSUMPTION_WINDOW = 500 // Distance (km) of driving each consumption bucket averages over
+const CONSUMPTION_GRADE = 0.02 // Average grade above which a segment is climbing or descending
+const REFERENCE_SPEED = 110 // Speed (kph) of the ABRP reference consumption
+const EARTH_RADIUS = 6371000 // Mean radius (m), for distances between GPS positions
+const MAX_PLAUSIBLE_SPEED = 300 // Fastest speed (kph) implied by consecutive GPS positions
+const MAX_PLAUSIBLE_DISTANCE = 200 // Position change (m) always accepted, for GPS noise
+const HIGHWAY_HYSTERESIS = 10 // Speed (kph) below min_calibration_speed at which the highway state is left
+const MIN_TRIP_DISTANCE = 0.1 // Shorter trips (km), e.g. only preconditioning, are not recorded
+const MIN_VALID_TIME = 946684800 // Unix timestamp for Jan 1, 2000, earlier times are not yet set
+const RECORD_FLUSH_SIZE = 10 // Recorded samples buffered before they are appended to the file
+const BYTES_PER_MB = 1000 * 1000 // As cellular data is billed
+const DATA_USAGE_SAVE_INTERVAL = 10 * 60 // Shortest time (s) between saves of the data usage, to spare the flash
+const DATA_USAGE_DAYS = 31 // Most recent daily data usage totals kept
+const DATA_USAGE_MONTHS = 12 // Most recent monthly data usage totals kept
 
 // Module variables
-var user_token = OvmsConfig.GetValues('usr', 'abrp.').user_token
+var user_token = null
 var isTimeValid = false;
-var isActive = false;
-var telemetryToSend = []
+var timeOffset = null;
+var unanchoredTelemetry = [];
+var lifecycleState = 'initialising';
 var collectedMetrics = []
 var lastQueuedTelemetry = {
   utc: 0,
 }
 var subscriptions = {};
+var settings = {};
+var rejectedSettings = {};
+var currentTrip = null;
+var currentChargeSession = null;
+var consumptionModel = { buckets: {} };
+var isConsumptionModelLoaded = false;
+var consumptionSegment = null;
+var currentPrivacyZone = null;
+var changeRules = [];
+var vehicleState = 'off';
+var lastValidValues = {};
+var plausibilityCandidates = {};
+var dataQualityRejections = {};
+var publishedStatus = {};
+var lastTestResult = null;
+var recorder = { file: '', names: null, lines: [] };
+var dataUsage = { days: {}, months: {} };
+var isDataUsageLoaded = false;
+var undatedDataUsage = 0;
+var dataUsageSavedAt = 0;
+var lastDataBudgetLevel = 0;
+
+/**
+ * settingsMap defines the plugin tunables. Each is read from the `usr abrp.<key>` config
+ *   and applied live whenever the configuration changes.
+ *
+ * Each entry in settingsMap contains the following properties:
+ * - key: The config instance name, without the `abrp.` prefix.
+ * - label: A descriptive name for the setting to be displayed in UI or logs.
+ * - type: 'boolean', 'number', 'string', 'list' (comma-separated) or 'json' (an object).
+ * - default: The value used when the config is not set or its value is rejected.
+ * - unit: (Optional) The unit of measurement for the setting.
+ * - min, max, integer: (Optional) Limits for 'number' settings.
+ * - pattern: (Optional) A regular expression 'string' settings must match.
+ * - validate: (Optional) A function returning the reason a parsed value is rejected, or null.
+ */
+var settingsMap = [
+  { key: 'debug', label: 'Debug Logging', type: 'boolean', default: true },
+  { key: 'bandwidth_saver', label: 'Bandwidth Saver', type: 'boolean', default: false },
+  // Monthly cellular data budget. Sending degrades as it is used up, see dataBudgetLevels. 0 disables it.
+  { key: 'data_budget', label: 'Monthly Data Budget', unit: 'MB', type: 'number',
+      default: 0, min: 0, max: 100000 },
+  // Day of the month the data budget renews, e.g. the billing day of a prepaid SIM
+  { key: 'data_budget_reset_day', label: 'Data Budget Reset Day', type: 'number',
+      default: 1, min: 1, max: 28, integer: true },
+  { key: 'data_budget_poll_rate', label: 'Data Budget Driving Poll Rate', unit: 's', type: 'number',
+      default: 10 * 60, min: 10, max: 24 * 3600 },
+  // Data scripts cannot see, added to each request: every request opens a new TLS connection, so
+  // this is mostly the handshake with the server certificate chain, plus the TCP/IP packet and
+  // HTTP headers. An estimate, not measured, to be tuned against the usage the carrier reports.
+  { key: 'data_request_overhead', label: 'Data Overhead per Request', unit: 'bytes', type: 'number',
+      default: 6000, min: 0, max: 100000, integer: true },
+  { key: 'state_notifications', label: 'Vehicle State Notifications', type: 'boolean', default: false },
+  // Delivery problems are notified once failing this long, 0 never notifies failures
+  { key: 'notify_failure_after', label: 'Notify Failing Delivery After', unit: 's', type: 'number',
+      default: 3600, min: 0, max: 7 * 24 * 3600 },
+  { key: 'notify_repeat_interval', label: 'Notification Repeat Interval', unit: 's', type: 'number',
+      default: 6 * 3600, min: 60, max: 7 * 24 * 3600 },
+  // Position fields are dropped with fewer satellites or a higher HDOP. 0 disables the check.
+  { key: 'min_gps_satellites', label: 'Minimum GPS Satellites', type: 'number',
+      default: 4, min: 0, max: 50, integer: true },
+  { key: 'max_gps_hdop', label: 'Maximum GPS HDOP', type: 'number', default: 5, min: 0, max: 100 },
+  { key: 'min_calibration_speed', label: 'Minimum Calibration Speed', unit: 'kph', type: 'number',
+      default: 70, min: 0, max: 250 },
+  { key: 'poll_rate_driving', label: 'Driving Poll Rate', unit: 's', type: 'number',
+      default: 5, min: 1, max: 3600 },
+  { key: 'poll_rate_charging', label: 'Charging Poll Rate', unit: 's', type: 'number',
+      default: 30 * 60, min: 10, max: 24 * 3600 },
+  // ABRP shows the live data as stale after 3 minutes without an update
+  { key: 'poll_stale_connection', label: 'Stale Connection Poll Rate', unit: 's', type: 'number',
+      default: (3 * 60) - 20, min: 10, max: 24 * 3600 },
+  { key: 'max_queue_size', label: 'Maximum Queue Size', type: 'number',
+      default: 100, min: 10, max: 5000, integer: true },
+  { key: 'bulk_max_entries', label: 'Maximum Entries per Request', type: 'number',
+      default: 50, min: 1, max: 1000, integer: true },
+  { key: 'bulk_max_bytes', label: 'Maximum Request Size', unit: 'bytes', type: 'number',
+      default: 16 * 1024, min: 1024, max: 256 * 1024, integer: true },
+  // 0 derives the capacity from the vehicle, where possible
+  { key: 'capacity', label: 'Usable Battery Capacity', unit: 'kWh', type: 'number',
+      default: 0, min: 0, max: 300 },
+  // Survives reboots and JS engine reloads. Appended to for every point, so /sd spares the flash.
+  { key: 'queue_file', label: 'Queue File', type: 'string',
+      default: '/store/abrp/queue.jsonl', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  // An empty URL disables the webhook sink
+  { key: 'webhook_url', label: 'Webhook URL', type: 'string',
+      default: '', pattern: /^https?:\/\/[^\s]+$/ },
+  // JSON object of header names and values, e.g. {"Authorization": "Bearer abc"}
+  { key: 'webhook_headers', label: 'Webhook Headers', type: 'json', default: {} },
+  // JSON object of telemetry keys and the names to send them as, e.g. {"soc": "battery_level"}.
+  // Empty sends all telemetry with its own names.
+  { key: 'webhook_fields', label: 'Webhook Fields', type: 'json', default: {} },
+  { key: 'webhook_interval', label: 'Webhook Send Interval', unit: 's', type: 'number',
+      default: 60, min: 10, max: 24 * 3600 },
+  { key: 'webhook_queue_file', label: 'Webhook Queue File', type: 'string',
+      default: '/store/abrp/webhook.jsonl', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  { key: 'trip_file', label: 'Trip Log File', type: 'string',
+      default: '/store/abrp/trips.jsonl', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  { key: 'charge_file', label: 'Charge Log File', type: 'string',
+      default: '/store/abrp/charges.jsonl', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  { key: 'curve_file', label: 'Charge Curve File', type: 'string',
+      default: '/store/abrp/curves.jsonl', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  { key: 'consumption_file', label: 'Consumption Model File', type: 'string',
+      default: '/store/abrp/consumption.json', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  { key: 'data_usage_file', label: 'Data Usage File', type: 'string',
+      default: '/store/abrp/usage.json', pattern: /^\/(store|sd)\/[^\s]+$/ },
+  // Records the raw metrics every second for `npm run replay`. Empty disables the recorder.
+  { key: 'record_file', label: 'Metric Recording File', type: 'string',
+      default: '', pattern: /^\/sd\/[^\s]+$/ },
+  // JSON object of zone names and zones, e.g. {"home": {"lat": -36.85, "lon": 174.76, "radius": 200}}
+  { key: 'privacy_zones', label: 'Privacy Zones', type: 'json', default: {},
+      validate: validatePrivacyZones },
+  // Telemetry keys to send, e.g. utc,soc,power. Empty sends every supported key.
+  { key: 'field_allowlist', label: 'Telemetry Field Allowlist', type: 'list', default: [],
+      validate: validateTelemetryKeys },
+  // Telemetry keys never to send, e.g. lat,lon
+  { key: 'field_denylist', label: 'Telemetry Field Denylist', type: 'list', default: [],
+      validate: validateTelemetryKeys },
+  // JSON object of telemetry keys and the decimals to round them to, e.g. {"lat": 3, "elevation": 0}
+  { key: 'field_precision', label: 'Telemetry Field Precision', type: 'json', default: {},
+      validate: validateFieldPrecision },
+  // JSON object of named significant change rules, added to defaultChangeRules. A rule named
+  // after a default replaces it, and null removes it, e.g. {"elevation": {"key": "elevation",
+  // "compare": "delta", "threshold": 50}, "parked": null}
+  { key: 'change_rules', label: 'Significant Change Rules', type: 'json', default: {},
+      validate: validateChangeRules },
+];
+
+/**
+ * defaultChangeRules defines when telemetry is significant enough to queue straight away,
+ *   rather than when the poll rate for the vehicle state is due. Rules are named so the
+ *   change_rules setting can replace or remove them.
+ *
+ * Each rule contains the following properties:
+ * - key: The telemetry key compared with the last queued telemetry.
+ * - compare: The changeComparisons entry used.
+ * - threshold: (Optional) The limit for 'delta', 'percent', 'angle' and 'crossed' comparisons.
+ * - precision: (Optional) The decimals numbers are rounded to before comparing.
+ * - state: (Optional) The changeStates entry the vehicle must be in for the rule to apply.
+ * - max_speed: (Optional) The speed (kph) at or below which the rule applies.
+ */
+var defaultChangeRules = {
+  // The SOC updates in ABRP as soon as possible after it's changed within the vehicle
+  soc: { key: 'soc', compare: 'changed' },
+  charging: { key: 'is_charging', compare: 'changed' },
+  parked: { key: 'is_parked', compare: 'changed' },
+  // Charging power is clearly shown within ABRP so good to be responsive to
+  // changes of more than 1 kW
+  charging_power: { key: 'power', compare: 'changed', precision: 0, state: 'charging' },
+};
+
+/**
+ * vehicleStates defines the states of the vehicle state machine (see `determineVehicleState`)
+ *   and the polling schedule of each.
+ *
+ * Each state contains the following properties:
+ * - label: A descriptive name for the state to be displayed in UI or logs.
+ * - pollInterval: A function that returns the longest time (s) between queued telemetry, or
+ *     null to queue none. Significant changes (see `defaultChangeRules`) are always queued.
+ * - sendInterval: The time (s) between sending queued telemetry to ABRP.
+ * - isMoving: (Optional) True while the vehicle moves. The power and speed of the telemetry
+ *     collected meanwhile are smoothed in bandwidth saver mode. Changes between moving states
+ *     are logged and notified, but only change the poll interval, without queueing telemetry.
+ */
+var vehicleStates = {
+  off: { label: 'Off', sendInterval: 60,
+      pollInterval: function() { return null; } },
+  parked: { label: 'Parked (awake)', sendInterval: 60,
+      pollInterval: function() { return 24 * 3600; } },
+  driving: { label: 'Driving', sendInterval: 10, isMoving: true,
+      pollInterval: function() { return isBandwidthSaverOn() ? settings.poll_stale_connection : settings.poll_rate_driving; } },
+  // Faster than min_calibration_speed, sent often so ABRP can calibrate the consumption
+  highway: { label: 'Highway (calibration)', sendInterval: 10, isMoving: true,
+      pollInterval: function() { return settings.poll_rate_driving; } },
+  ac_charging: { label: 'AC Charging', sendInterval: 10,
+      pollInterval: function() { return settings.poll_rate_charging; } },
+  dc_charging: { label: 'DC Charging', sendInterval: 10,
+      pollInterval: function() { return settings.poll_stale_connection; } },
+  preconditioning: { label: 'Preconditioning', sendInterval: 30,
+      pollInterval: function() { return settings.poll_stale_connection; } },
+};
+
+/**
+ * changeComparisons defines how a change rule compares the current and previous values of its key.
+ */
+var changeComparisons = {
+  changed: function(current, previous) {
+    return current !== previous;
+  },
+  delta: function(current, previous, rule) {
+    return typeof current === 'number' && typeof previous === 'number' &&
+      Math.abs(current - previous) >= rule.threshold;
+  },
+  percent: function(current, previous, rule) {
+    if (typeof current !== 'number' || typeof previous !== 'number') {
+      return false;
+    }
+    return previous === 0 ? current !== 0 : Math.abs(current - previous) / Math.abs(previous) * 100 >= rule.threshold;
+  },
+  // Delta of angles such as the heading, where 359° and 1° are 2° apart
+  angle: function(current, previous, rule) {
+    if (typeof current !== 'number' || typeof previous !== 'number') {
+      return false;
+    }
+    var delta = Math.abs(current - previous) % 360;
+    return Math.min(delta, 360 - delta) >= rule.threshold;
+  },
+  crossed: function(current, previous, rule) {
+    return typeof current === 'number' && typeof previous === 'number' &&
+      (previous < rule.threshold) !== (current < rule.threshold);
+  },
+};
+
+/**
+ * changeStates defines the vehicle states a change rule can be limited to.
+ */
+var changeStates = {
+  driving: function(telemetry) { return !telemetry.is_parked && !telemetry.is_charging; },
+  parked: function(telemetry) { return !!telemetry.is_parked; },
+  charging: function(telemetry) { return !!telemetry.is_charging; },
+  ac_charging: function(telemetry) { return !!telemetry.is_charging && !telemetry.is_dcfc; },
+  dcfc: function(telemetry) { return !!telemetry.is_charging && !!telemetry.is_dcfc; },
+};
+
+/**
+ * positionFields lists the telemetry keys that come from the GPS position.
+ */
+var positionFields = ['lat', 'lon', 'elevation', 'heading'];
+
+/**
+ * plausibilityLimits defines the largest change of a telemetry key between consecutive
+ *   samples that is physically possible. Larger changes are CAN or GPS glitches and the
+ *   value is dropped. The limit is `allowance + rate * seconds` since the last accepted value.
+ *   A step that the next sample confirms is real, e.g. a GPS fix after a tunnel, and is accepted.
+ *
+ * Each entry contains the following properties:
+ * - key: The telemetry key checked.
+ * - allowance: The change always accepted, e.g. for rounding and sensor noise.
+ * - rate: The fastest possible change per second.
+ * - isIncreasing: (Optional) True if the value can never decrease, like the odometer.
+ */
+var plausibilityLimits = [
+  // DC fast charging adds well under 0.1% SOC per second
+  { key: 'soc', allowance: 5, rate: 0.1 },
+  // Beyond the hardest acceleration or braking
+  { key: 'speed', allowance: 20, rate: 40 },
+  { key: 'odometer', allowance: 1, rate: 0.1, isIncreasing: true },
+  { key: 'elevation', allowance: 100, rate: 50 },
+  { key: 'ext_temp', allowance: 5, rate: 0.1 },
+  { key: 'batt_temp', allowance: 3, rate: 0.05 },
+];
+
+/**
+ * privacyActions defines what happens to telemetry inside a privacy zone, chosen by the
+ *   `action` of the zone.
+ */
+var privacyActions = {
+  // Send telemetry without any position fields
+  omit: function(telemetry) {
+    positionFields.forEach(function(key) {
+      delete telemetry[key];
+    });
+    return telemetry;
+  },
+  // Send the zone centre as the position
+  snap: function(telemetry, zone) {
+    privacyActions.omit(telemetry);
+    telemetry.lat = zone.lat;
+    telemetry.lon = zone.lon;
+    return telemetry;
+  },
+  // Send no telemetry at all
+  suppress: function() {
+    return null;
+  },
+};
 
 /**
  * metricMap defines a list of ABRP (A Better Routeplanner) metrics and their 
@@ -38,15 +330,23 @@ var subscriptions = {};
  * - unit: (Optional) The unit of measurement for the metric.
  * - requiredMetrics: An array of OVMS metrics that are required to calculate the value of the metric.
  *     If requiredMetrics is empty, the metric is not supported or cannot be calculated from the available data.
+ * - requiredTelemetry: (Optional) An array of other metricMap keys the metric is derived from. Entries are
+ *     evaluated in dependency order, and the metric is dropped if any of them is missing.
+ * - requiredSettings: (Optional) An array of settingsMap keys that must be set to calculate the metric.
  * - metric: A function that processes the telemetry data and returns the value for the metric.
+ *     It is passed the required OVMS metrics and the telemetry calculated so far, and may return
+ *     null or undefined if the value cannot be determined, in which case the metric is dropped.
+ * - sources: (Optional) Alternative ways to calculate the metric, in order of preference, each with its
+ *     own requiredMetrics, requiredTelemetry, requiredSettings and metric. The first that produces
+ *     a value is used.
  * 
  * Vehicle-Specific Implementations: 
- * A function called `overrideMetricMap` can be used to modify the default `metricMap` on startup, 
- *   allowing vehicle-specific implementations or adjustments to certain metrics.
+ * `metricMap` is rebuilt from this pristine `baseMetricMap` and the matching entry of `vehicleProfiles`
+ *   whenever the vehicle type is set, allowing vehicle-specific implementations or adjustments to certain metrics.
  */
-var metricMap = [
+var baseMetricMap = [
   { key: 'utc', label: 'UTC Timestamp', unit: 's' , requiredMetrics: ['m.time.utc'] ,
-      metric: function(metrics) { return metrics['m.time.utc']; } },
+      metric: function() { return currentUtc(); } },
   { key: 'soc', label: 'State of Charge', unit: '%' , requiredMetrics: ['v.b.soc'] ,
       metric: function(metrics) { return metrics['v.b.soc']; } },
   { key: 'power', label: 'Battery Power', unit: 'kW' , requiredMetrics: ['v.b.power'] ,
@@ -63,8 +363,19 @@ var metricMap = [
       metric: function(metrics) { return metrics['v.c.mode'] === 'performance'; } },
   { key: 'is_parked', label: 'Parked' , requiredMetrics: ['v.e.parktime'] ,
       metric: function(metrics) { return metrics['v.e.parktime'] > 0; } },
-  { key: 'capacity', label: 'Capacity', unit: 'kWh'  },
-  { key: 'soe', label: 'Present Energy', unit: 'kWh'  },
+  { key: 'capacity', label: 'Capacity', unit: 'kWh' , sources: [
+      // Configured usable capacity
+      { requiredSettings: ['capacity'] ,
+          metric: function() { return settings.capacity; } },
+      // Capacity in Ah at the nominal pack voltage of the vehicle
+      { requiredMetrics: ['v.b.cac'] ,
+          metric: function(metrics) {
+            var nominalVoltage = vehicleProfile && vehicleProfile.nominalVoltage;
+            return nominalVoltage ? round(metrics['v.b.cac'] * nominalVoltage / 1000, 1) : null;
+          } },
+    ] },
+  { key: 'soe', label: 'Present Energy', unit: 'kWh' , requiredTelemetry: ['soc', 'capacity'] ,
+      metric: function(metrics, telemetry) { return round(telemetry.soc / 100 * telemetry.capacity, 2); } },
   { key: 'soh', label: 'State of Health', unit: '%' , requiredMetrics: ['v.b.soh'] ,
       metric: function(metrics) { return metrics['v.b.soh']; } },
   { key: 'heading', label: 'GPS Heading', unit: '°' , requiredMetrics: ['v.p.direction'] ,
@@ -83,7 +394,8 @@ var metricMap = [
       metric: function(metrics) { return metrics['v.p.odometer']; } },
   { key: 'est_battery_range', label: 'Estimated Range', unit: 'km' , requiredMetrics: ['v.b.range.est'] ,
       metric: function(metrics) { return metrics['v.b.range.est']; } },
-  { key: 'hvac_power', label: 'HVAC Power', unit: 'kW' , requiredMetrics: []  },
+  // No standard metric, vehicle profiles provide the power of vehicles that report it
+  { key: 'hvac_power', label: 'HVAC Power', unit: 'kW' , requiredMetrics: [] },
   { key: 'hvac_setpoint', label: 'HVAC Setpoint', unit: '°C' , requiredMetrics: ['v.e.cabinsetpoint'] ,
       metric: function(metrics) { return metrics['v.e.cabinsetpoint']; } },
   { key: 'cabin_temp', label: 'Cabin Temp', unit: '°C' , requiredMetrics: ['v.e.cabintemp'] ,
@@ -97,6 +409,287 @@ var metricMap = [
   { key: 'tire_pressure_rr', label: 'RR Tire Pressure', unit: 'kPa' , requiredMetrics: ['v.tp.rr.p'] ,
       metric: function(metrics) { return metrics['v.tp.rr.p']; } },
 ];
+var metricMap = baseMetricMap;
+var vehicleProfile = null;
+
+/**
+ * Returns true when the charge connector type reported by the vehicle is a DC fast charging type.
+ */
+function isDcChargeType(metrics) {
+  return ['ccs', 'chademo'].indexOf(metrics['v.c.type']) >= 0;
+}
+
+/**
+ * vehicleProfiles defines vehicle-specific adjustments to `baseMetricMap`.
+ *
+ * Each profile contains the following properties:
+ * - name: The vehicle name to be displayed in UI or logs.
+ * - types: The OVMS vehicle type codes (`v.type`) the profile applies to.
+ * - nominalVoltage: (Optional) The nominal battery pack voltage (V), used to derive the capacity.
+ * - metrics: metricMap entries replacing the base entry with the same key. Label and unit are
+ *     taken from the base entry unless given. An empty requiredMetrics array stops the metric
+ *     from being reported for the vehicle.
+ *
+ * To support a new vehicle, add a profile here.
+ */
+var vehicleProfiles = [
+  {
+    name: 'Kia Soul EV',
+    types: ['KS'],
+    nominalVoltage: 360,
+    metrics: [
+      // Kia Soul has an OVMS bug for calculating SOH. This removes it from being reported.
+      { key: 'soh', requiredMetrics: [] },
+    ],
+  },
+  {
+    name: 'Nissan Leaf / e-NV200',
+    types: ['NL'],
+    nominalVoltage: 360,
+    metrics: [
+      { key: 'soc', requiredMetrics: ['xnl.v.b.soc.instrument'] ,
+          metric: function(metrics) { return metrics['xnl.v.b.soc.instrument']; } },
+      { key: 'soh', requiredMetrics: ['xnl.v.b.soh.instrument'] ,
+          metric: function(metrics) { return metrics['xnl.v.b.soh.instrument']; } },
+      { key: 'est_battery_range', requiredMetrics: ['xnl.v.b.range.instrument', 'v.b.range.ideal'] ,
+          metric: function(metrics) {
+            var instrumentRange = metrics['xnl.v.b.range.instrument'] || 0;
+            var idealRange = metrics['v.b.range.ideal'];
+            return idealRange > 1.1 * instrumentRange ? idealRange : instrumentRange;
+          } },
+    ],
+  },
+  {
+    name: 'Toyota bZ4X / Subaru Solterra',
+    types: ['TOYBZ4X', 'SUBSOL'],
+    nominalVoltage: 355,
+    metrics: [
+      { key: 'is_parked', requiredMetrics: ['v.e.gear'] ,
+          metric: function(metrics) { return metrics['v.e.gear'] === 0; } },
+    ],
+  },
+  {
+    name: 'Renault Zoe',
+    types: ['RZ'],
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+    ],
+  },
+  {
+    name: 'Renault Zoe Ph2',
+    types: ['RZ2'],
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+      // The heat pump compressor does both the heating and the cooling
+      { key: 'hvac_power', requiredMetrics: ['xrz2.h.compressor.power'] ,
+          metric: function(metrics) { return metrics['xrz2.h.compressor.power']; } },
+    ],
+  },
+  {
+    name: 'Hyundai Kona / Kia Niro',
+    types: ['KN'],
+    nominalVoltage: 356,
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+    ],
+  },
+  {
+    name: 'Hyundai Ioniq',
+    types: ['HIONVFL'],
+    nominalVoltage: 360,
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+    ],
+  },
+  {
+    name: 'VW e-Up',
+    types: ['VWUP', 'VWUP.T26'],
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+    ],
+  },
+  {
+    name: 'MG ZS EV',
+    types: ['MGEV'],
+    metrics: [
+      { key: 'is_dcfc', requiredMetrics: ['v.c.type'] , metric: isDcChargeType },
+    ],
+  },
+  {
+    name: 'Smart ED / EQ',
+    types: ['SE', 'SQ'],
+    metrics: [
+      // AC charging only
+      { key: 'is_dcfc', requiredMetrics: ['v.c.charging'] ,
+          metric: function() { return false; } },
+    ],
+  },
+  {
+    name: 'Tesla Roadster',
+    types: ['TR'],
+    metrics: [
+      // AC charging only. The 'performance' charge mode is the fastest AC charging mode.
+      { key: 'is_dcfc', requiredMetrics: ['v.c.charging'] ,
+          metric: function() { return false; } },
+    ],
+  },
+];
+
+/**
+ * sinks defines the destinations telemetry is sent to. Each sink has its own queue, persisted
+ *   to its own file, its own send schedule and its own retry state.
+ *
+ * Each sink contains the following properties:
+ * - name: A unique identifier for the sink.
+ * - label: A descriptive name for the sink to be displayed in UI or logs.
+ * - queueFileSetting: The settingsMap key of the file the sink queue is persisted to.
+ * - metricPrefix: The prefix of the `usr.abrp.*` metrics its status is published as.
+ * - credentialsLabel: A description of the credentials the sink may reject with a 401 or 403 response.
+ * - isEnabled: A function that returns true if the sink is configured to receive telemetry.
+ * - interval: A function that returns the minimum time (s) between requests.
+ * - credentials: A function that returns the current credentials. Sending resumes after a
+ *     rejection once these change.
+ * - formatEntry: A function that converts a telemetry entry to the form sent.
+ * - createPost: A function that returns the `url`, `headers` and `post` body of a request
+ *     sending a list of formatted entries.
+ * - state: The queue and send state of the sink, see `createSinkState`.
+ */
+var sinks = [
+  {
+    name: 'abrp',
+    label: 'ABRP',
+    queueFileSetting: 'queue_file',
+    metricPrefix: 'usr.abrp.',
+    credentialsLabel: 'user token',
+    isEnabled: function() { return !!user_token; },
+    interval: function() { return vehicleStates[vehicleState].sendInterval; },
+    credentials: function() { return user_token; },
+    formatEntry: function(entry) { return entry; },
+    createPost: function(entries) {
+      return {
+        url: 'https://api.iternio.com/1/tlm/bulk?api_key=' + encodeURIComponent(OVMS_API_KEY),
+        headers: [ { "Content-Type": "application/json" } ], // Set the content type to JSON
+        post: JSON.stringify({ data: [ { token: user_token, tlm_list: entries } ] }),
+      };
+    },
+    state: createSinkState(),
+  },
+  {
+    name: 'webhook',
+    label: 'Webhook',
+    queueFileSetting: 'webhook_queue_file',
+    metricPrefix: 'usr.abrp.webhook_',
+    credentialsLabel: 'webhook URL or headers',
+    isEnabled: function() { return !!settings.webhook_url; },
+    interval: function() { return settings.webhook_interval; },
+    credentials: function() { return settings.webhook_url + JSON.stringify(settings.webhook_headers); },
+    formatEntry: function(entry) {
+      var fields = settings.webhook_fields;
+      if (Object.keys(fields).length === 0) {
+        return entry;
+      }
+      var formatted = {};
+      Object.keys(fields).forEach(function(key) {
+        if (key in entry) {
+          formatted[fields[key]] = entry[key];
+        }
+      });
+      return formatted;
+    },
+    createPost: function(entries) {
+      var headers = [ { "Content-Type": "application/json" } ];
+      Object.keys(settings.webhook_headers).forEach(function(name) {
+        var header = {};
+        header[name] = String(settings.webhook_headers[name]);
+        headers.push(header);
+      });
+      return {
+        url: settings.webhook_url,
+        headers: headers,
+        post: JSON.stringify({ vehicle_id: OvmsConfig.Get('vehicle', 'id'), telemetry: entries }),
+      };
+    },
+    state: createSinkState(),
+  },
+];
+
+/**
+ * statusFields defines what `abrp.status()` reports and publishes as `usr.abrp.*` metrics,
+ *   so that the health of the plugin can be checked in the web UI and the app.
+ *   sinkStatusFields are reported for each enabled sink, with the metric prefix of the sink.
+ *
+ * Each entry contains the following properties:
+ * - key: The metric name, after the prefix.
+ * - label: A descriptive name for the field to be displayed in logs.
+ * - unit: (Optional) The unit of the value.
+ * - value: A function that returns the value, given the sink for sinkStatusFields. Null if
+ *     there is no value yet.
+ * - format: (Optional) A function that formats the value for `abrp.status()`.
+ */
+const statusFields = [
+  { key: 'running', label: 'Running', value: function() { return isStarted(); } },
+  { key: 'lifecycle', label: 'Lifecycle', value: function() { return lifecycleState; },
+      format: function(state) { return lifecycleStates[state].label; } },
+  { key: 'time_valid', label: 'Time Valid', value: function() { return isTimeValid; } },
+  { key: 'buffered', label: 'Buffered Until Time Is Valid', unit: 'entries',
+      value: function() { return unanchoredTelemetry.length; } },
+  { key: 'state', label: 'Vehicle State', value: function() { return vehicleState; },
+      format: function(state) { return vehicleStates[state].label; } },
+  { key: 'poll_interval', label: 'Poll Interval', unit: 's',
+      value: function() { return budgetedPollInterval(vehicleState); } },
+  { key: 'test_result', label: 'Last Test Point', value: function() { return lastTestResult; } },
+];
+
+const sinkStatusFields = [
+  { key: 'queue', label: 'Queue', unit: 'entries', value: function(sink) { return sink.state.queue.length; } },
+  { key: 'last_success', label: 'Last Successful Send', value: function(sink) { return sink.state.lastSuccessUtc; },
+      format: function(utc) { return formatUtc(utc) + ' UTC'; } },
+  { key: 'last_status', label: 'Last HTTP Status', value: function(sink) { return sink.state.lastStatus; } },
+  { key: 'failures', label: 'Consecutive Failures', value: function(sink) { return sink.state.consecutiveFailures; } },
+  { key: 'paused', label: 'Paused', value: function(sink) { return sink.state.rejectedCredentials !== null; },
+      format: function(isPaused, sink) { return isPaused ? 'yes, ' + sink.credentialsLabel + ' rejected' : 'no'; } },
+  { key: 'latency', label: 'Average Latency', unit: 's',
+      value: function(sink) {
+        var state = sink.state;
+        return state.requestCount ? round(state.totalLatency / state.requestCount, 2) : null;
+      } },
+  { key: 'sent', label: 'Points Sent', value: function(sink) { return sink.state.pointsSent; } },
+  { key: 'dropped', label: 'Points Dropped', value: function(sink) { return sink.state.pointsDropped; } },
+];
+
+/**
+ * recordLogs holds the logs of completed records, e.g. trips, each persisted as JSON lines
+ *   to the file named by its fileSetting. See `createRecordLog`.
+ */
+var tripLog = createRecordLog('trip', 'trip_file');
+var chargeLog = createRecordLog('charging session', 'charge_file');
+var curveLog = createRecordLog('charge curve', 'curve_file', MAX_CHARGE_CURVES);
+var recordLogs = [tripLog, chargeLog, curveLog];
+
+/**
+ * chargeCurveMetrics defines the OVMS metrics averaged for each SOC percent of a DC charge curve.
+ *
+ * Each entry contains the following properties:
+ * - key: The name of the value in a curve point.
+ * - label: The column heading in the curve table.
+ * - metric: The OVMS metric sampled.
+ * - sign: -1 for battery metrics that are negative while charging.
+ */
+var chargeCurveMetrics = [
+  { key: 'power', label: 'kW', metric: 'v.b.power', sign: -1 },
+  { key: 'current', label: 'A', metric: 'v.b.current', sign: -1 },
+  { key: 'voltage', label: 'V', metric: 'v.b.voltage', sign: 1 },
+  { key: 'batt_temp', label: '°C', metric: 'v.b.temp', sign: 1 },
+];
+
+/**
+ * consumptionBands defines the upper limits of the speed (kph) and outside temperature (°C)
+ *   bands of the consumption model. Values above the last limit form a band of their own.
+ */
+var consumptionBands = {
+  speed: [20, 40, 60, 80, 100, 120, 140],
+  ext_temp: [0, 10, 20, 30],
+};
 
 // Utility Functions
 
@@ -117,6 +710,13 @@ function round(number, precision) {
   return Number(number.toFixed(precision || 0))
 }
 
+/**
+ * Returns the seconds elapsed on a monotonic clock, unaffected by changes to the system time.
+ */
+function monotonicTime() {
+  return performance.now() / 1000;
+}
+
 /**
  * Returns the current date and time as a localized string.
  */ 
@@ -124,6 +724,45 @@ function timestamp() {
   return new Date().toLocaleString()
 }
 
+/**
+ * Formats a duration (s) in minutes, or hours from 2 hours, e.g. '45 min' or '3.5 h'.
+ */
+function formatDuration(seconds) {
+  return seconds < 2 * 3600 ? round(seconds / 60) + ' min' : round(seconds / 3600, 1) + ' h';
+}
+
+/**
+ * Formats a Unix timestamp (s) as a UTC date and time, e.g. '2024-09-22 10:15'.
+ */
+function formatUtc(utc) {
+  return new Date(utc * 1000).toISOString().substring(0, 16).replace('T', ' ');
+}
+
+/**
+ * Formats bytes as megabytes, e.g. '1.25 MB'.
+ */
+function formatMegabytes(bytes) {
+  return round(bytes / BYTES_PER_MB, 2) + ' MB';
+}
+
+/**
+ * Pads a value with leading spaces to the given width, for tables. Missing values are shown as '-'.
+ */
+function padStart(value, width) {
+  var text = value === undefined || value === null ? '-' : String(value);
+  while (text.length < width) {
+    text = ' ' + text;
+  }
+  return text;
+}
+
+/**
+ * Returns the value of an OVMS metric as a number, or null if it has no value.
+ */
+function metricValue(name) {
+  return OvmsMetrics.HasValue(name) ? OvmsMetrics.AsFloat(name) : null;
+}
+
 /**
  * Creates a logger object with various logging functions.
  * 
@@ -135,7 +774,7 @@ function logger() {
   }
 
   function debug(message, obj) {
-    if (DEBUG) {
+    if (settings.debug) {
       log('(' + timestamp() + ') DEBUG: ' + message, obj)
     }
   }
@@ -185,6 +824,260 @@ function medianPowerMetrics(array) {
   }
 }
 
+// Configuration Functions
+
+/**
+ * Parses and validates a raw config value against its settingsMap definition.
+ *
+ * @param {Object} definition - The settingsMap entry.
+ * @param {string} value - The raw config value.
+ * @returns {[boolean, any]} - Returns a two-element array. The first element indicates whether the value is valid,
+ *                             and the second element is either the typed value or the reason it was rejected.
+ */
+function parseSetting(definition, value) {
+  var text = String(value).trim();
+  switch (definition.type) {
+    case 'boolean':
+      if (['true', 'yes', 'on', '1'].indexOf(text.toLowerCase()) >= 0) {
+        return [true, true];
+      }
+      if (['false', 'no', 'off', '0'].indexOf(text.toLowerCase()) >= 0) {
+        return [true, false];
+      }
+      return [false, 'must be true or false'];
+    case 'number':
+      var number = Number(text);
+      var limits = 'between ' + definition.min + ' and ' + definition.max;
+      if (text === '' || !isFinite(number)) {
+        return [false, 'must be a number ' + limits];
+      }
+      if (definition.integer && Math.floor(number) !== number) {
+        return [false, 'must be a whole number ' + limits];
+      }
+      if (number < definition.min || number > definition.max) {
+        return [false, 'must be ' + limits];
+      }
+      return [true, number];
+    case 'json':
+      try {
+        var object = JSON.parse(text);
+        if (object && typeof object === 'object' && !Array.isArray(object)) {
+          return [true, object];
+        }
+      } catch (e) {
+        // Reported below
+      }
+      return [false, 'must be a JSON object'];
+    case 'list':
+      return [true, text.split(',').map(function(item) {
+        return item.trim();
+      }).filter(function(item) {
+        return item !== '';
+      })];
+    default:
+      if (definition.pattern && !definition.pattern.test(text)) {
+        return [false, 'must match ' + definition.pattern];
+      }
+      return [true, text];
+  }
+}
+
+/**
+ * Parses a raw config value with parseSetting, then applies the validate function of its definition.
+ */
+function parseAndValidateSetting(definition, value) {
+  var result = parseSetting(definition, value);
+  if (result[0] && definition.validate) {
+    var reason = definition.validate(result[1]);
+    if (reason) {
+      return [false, reason];
+    }
+  }
+  return result;
+}
+
+/**
+ * Validates a list of telemetry keys, which must be baseMetricMap keys.
+ *
+ * @returns {string|null} - The reason the list is rejected, or null if it is valid.
+ */
+function validateTelemetryKeys(keys) {
+  var unknown = keys.filter(function(key) {
+    return !findMetricMapEntry(baseMetricMap, key);
+  });
+  return unknown.length ? 'unknown telemetry ' + unknown.join(', ') : null;
+}
+
+/**
+ * Validates the field_precision setting.
+ *
+ * @returns {string|null} - The reason the precision is rejected, or null if it is valid.
+ */
+function validateFieldPrecision(precision) {
+  var keys = Object.keys(precision);
+  var reason = validateTelemetryKeys(keys);
+  if (reason) {
+    return reason;
+  }
+  for (var i = 0; i < keys.length; i++) {
+    var decimals = precision[keys[i]];
+    if (typeof decimals !== 'number' || Math.floor(decimals) !== decimals || decimals < 0 || decimals > 6) {
+      return keys[i] + ' decimals must be a whole number between 0 and 6';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates the change_rules setting.
+ *
+ * @returns {string|null} - The reason the rules are rejected, or null if they are valid.
+ */
+function validateChangeRules(rules) {
+  var names = Object.keys(rules);
+  for (var i = 0; i < names.length; i++) {
+    var rule = rules[names[i]];
+    var prefix = 'rule ' + names[i] + ' ';
+    if (rule === null) {
+      continue;
+    }
+    if (typeof rule !== 'object' || !findMetricMapEntry(baseMetricMap, rule.key)) {
+      return prefix + 'needs a telemetry key';
+    }
+    if (Object.keys(changeComparisons).indexOf(rule.compare) < 0) {
+      return prefix + 'compare must be one of ' + Object.keys(changeComparisons).join(', ');
+    }
+    if (rule.compare !== 'changed' && typeof rule.threshold !== 'number') {
+      return prefix + 'needs a threshold';
+    }
+    if (rule.state !== undefined && Object.keys(changeStates).indexOf(rule.state) < 0) {
+      return prefix + 'state must be one of ' + Object.keys(changeStates).join(', ');
+    }
+    if (rule.precision !== undefined && (typeof rule.precision !== 'number' || Math.floor(rule.precision) !== rule.precision)) {
+      return prefix + 'precision must be a whole number';
+    }
+    if (rule.max_speed !== undefined && typeof rule.max_speed !== 'number') {
+      return prefix + 'max_speed must be a number';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates the privacy_zones setting.
+ *
+ * @returns {string|null} - The reason the zones are rejected, or null if they are valid.
+ */
+function validatePrivacyZones(zones) {
+  var names = Object.keys(zones);
+  for (var i = 0; i < names.length; i++) {
+    var zone = zones[names[i]];
+    if (!zone || typeof zone.lat !== 'number' || typeof zone.lon !== 'number' ||
+        Math.abs(zone.lat) > 90 || Math.abs(zone.lon) > 180) {
+      return 'zone ' + names[i] + ' needs a lat and lon';
+    }
+    if (typeof zone.radius !== 'number' || zone.radius <= 0) {
+      return 'zone ' + names[i] + ' needs a radius (m)';
+    }
+    if (zone.action !== undefined && Object.keys(privacyActions).indexOf(zone.action) < 0) {
+      return 'zone ' + names[i] + ' action must be one of ' + Object.keys(privacyActions).join(', ');
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the user token and all settingsMap tunables from the `usr abrp.*` config.
+ *
+ * Unset values use their default. A rejected value also uses the default and raises a
+ * notification, once for each distinct rejected value.
+ */
+function loadSettings() {
+  var values = OvmsConfig.GetValues('usr', 'abrp.');
+  var previous = clone(settings);
+  user_token = values.user_token;
+
+  settingsMap.forEach(function(definition) {
+    var key = definition.key;
+    var value = values[key];
+    var result = value === undefined || value === '' ? [true, definition.default] : parseAndValidateSetting(definition, value);
+
+    if (result[0]) {
+      settings[key] = result[1];
+      delete rejectedSettings[key];
+      return;
+    }
+
+    settings[key] = definition.default;
+    if (rejectedSettings[key] !== value) {
+      rejectedSettings[key] = value;
+      OvmsNotify.Raise(
+        'error',
+        'usr.abrp.status',
+        'ABRP::config usr abrp.' + key + ' "' + value + '" rejected, ' + result[1] +
+          '. Using ' + JSON.stringify(definition.default)
+      );
+    }
+  });
+
+  changeRules = buildChangeRules();
+  applySettings(previous);
+}
+
+/**
+ * Combines defaultChangeRules with the change_rules setting.
+ *
+ * @returns {Array} - The rules in effect, each with its name.
+ */
+function buildChangeRules() {
+  var rules = Object.assign({}, defaultChangeRules, settings.change_rules);
+  return Object.keys(rules).filter(function(name) {
+    return rules[name] !== null;
+  }).map(function(name) {
+    return Object.assign({ name: name }, rules[name]);
+  });
+}
+
+/**
+ * Applies changed settings that need more than the new value being read on next use.
+ *
+ * @param {Object} previous - The settings before they were reloaded.
+ */
+function applySettings(previous) {
+  var changed = settingsMap.filter(function(definition) {
+    var key = definition.key;
+    return key in previous && JSON.stringify(previous[key]) !== JSON.stringify(settings[key]);
+  });
+  if (changed.length === 0) {
+    return;
+  }
+
+  changed.forEach(function(definition) {
+    Logger.info('Setting abrp.' + definition.key + ' changed to ' + JSON.stringify(settings[definition.key]));
+  });
+
+  recordLogs.forEach(function(log) {
+    if (settings[log.fileSetting] !== previous[log.fileSetting]) {
+      saveRecordLog(log);
+    }
+  });
+  if (settings.consumption_file !== previous.consumption_file) {
+    saveConsumptionModel();
+  }
+  if (settings.data_usage_file !== previous.data_usage_file) {
+    saveDataUsage();
+  }
+
+  sinks.forEach(function(sink) {
+    var queueFile = sink.queueFileSetting;
+    if (settings[queueFile] !== previous[queueFile] || settings.max_queue_size !== previous.max_queue_size) {
+      // Rewrite the whole queue, to the new file if it moved
+      trimTelemetryQueue(sink);
+      saveTelemetryQueue(sink);
+    }
+  });
+}
+
 /**
  * Validates the ABRP configuration for the user.
  * 
@@ -209,94 +1102,149 @@ function validateUsrAbrpConfig() {
 }
 
 /**
- * Logs the telemetry list (tlm_list) from a bulk telemetry post object.
+ * Subscribes to an event on behalf of a purpose, which owns the subscription until it
+ * unsubscribes. Subscribing the same callback to the same topic again does nothing.
+ *
+ * The purposes are:
+ * - startup: The first tick, which starts sending.
+ * - config: Changes to the settings and the vehicle type.
+ * - clock: Checking the time until it is valid.
+ * - telemetry: The vehicle state machine, sending and the metric recorder.
+ * - trip, charge: Sampling the current trip or charging session.
+ *
+ * @param {string} purpose - The purpose that owns the subscription.
+ * @param {string} topic - The event, e.g. 'ticker.1'.
+ * @param {Function} callback - The event handler.
  */
-function logTlmList(bulkPost) {
-  if (bulkPost && bulkPost.data && bulkPost.data.length > 0) {
-    var tlmList = bulkPost.data[0].tlm_list; // Access the tlm_list
-    
-    tlmList.forEach(function(item) {
-      Logger.debug('Sending: ' + JSON.stringify(item));
-    });
-  } 
+function subscribe(purpose, topic, callback) {
+  var owned = subscriptions[purpose] = subscriptions[purpose] || [];
+  var isSubscribed = owned.some(function(subscription) {
+    return subscription.topic === topic && subscription.callback === callback;
+  });
+  if (isSubscribed) {
+    return;
+  }
+  // The PubSub is kept, so the subscription is released where it was made even if the
+  // globals are replaced later, e.g. by another emulator
+  owned.push({ topic: topic, callback: callback, token: PubSub.subscribe(topic, callback), pubsub: PubSub });
 }
 
 /**
- * Function to subscribe to events and store the token
+ * Releases every subscription owned by a purpose.
  */
-function subscribe(topic, callback) {
-  var token = PubSub.subscribe(topic, callback);
-  subscriptions[topic] = subscriptions[topic] || []; // Initialize array if not exists
-  subscriptions[topic].push(token);
+function unsubscribe(purpose) {
+  (subscriptions[purpose] || []).forEach(function(subscription) {
+    subscription.pubsub.unsubscribe(subscription.token);
+  });
+  delete subscriptions[purpose];
 }
 
 /**
- * Function to unsubscribe from events
+ * Releases every subscription of the plugin.
  */
-function unsubscribe(topic) {
-  if (subscriptions[topic]) {
-      for (var i = 0; i < subscriptions[topic].length; i++) {
-          PubSub.unsubscribe(subscriptions[topic][i]);
-      }
-      delete subscriptions[topic]; // Optionally remove the topic from tracking
-  }
+function unsubscribeAll() {
+  Object.keys(subscriptions).forEach(unsubscribe);
 }
 
 // Telemetry and Metric Functions
 
 /**
- * Updates the `metricMap` based on the vehicle type retrieved from the OvmsMetrics service.
- * Additional cases for other vehicle types can be added as needed.
+ * Finds the vehicle profile for an OVMS vehicle type code.
+ *
+ * @param {string} vehicleType - The OVMS vehicle type (`v.type`).
+ * @returns {Object|null} - The matching entry of `vehicleProfiles`, or null if there is none.
  */
-function overrideMetricMap() {
-  Logger.debug("Running overrideMetricMap...");
+function findVehicleProfile(vehicleType) {
+  for (var i = 0; i < vehicleProfiles.length; i++) {
+    if (vehicleProfiles[i].types.indexOf(vehicleType) >= 0) {
+      return vehicleProfiles[i];
+    }
+  }
+  return null;
+}
 
-  var vehicleType = OvmsMetrics.Value('v.type');
-  Logger.debug("Vehicle type: " + vehicleType);
+/**
+ * Returns the telemetry keys a metricMap entry is derived from, across all of its sources.
+ */
+function getTelemetryDependencies(entry) {
+  var dependencies = [];
+  (entry.sources || [entry]).forEach(function(source) {
+    dependencies = dependencies.concat(source.requiredTelemetry || []);
+  });
+  return dependencies;
+}
 
-  metricMap.forEach(function(entry) {
-    switch (vehicleType) {
-      case 'KS':
-        // Kia Soul has an OVMS bug for calculating SOH. This removes it from being reported.
-        if (entry.key === 'soh') {
-          delete entry.requiredMetrics;
-          delete entry.metric;
-        }
-        break;
-      case 'NL':
-        if (entry.key === 'soc') {
-          entry.requiredMetrics = ['xnl.v.b.soc.instrument'];
-          entry.metric = function(metrics) { 
-            return metrics['xnl.v.b.soc.instrument']; 
-          };
-        }
-        if (entry.key === 'soh') {
-            entry.requiredMetrics = ['xnl.v.b.soh.instrument'];
-            entry.metric = function(metrics) { 
-              return metrics['xnl.v.b.soh.instrument']; 
-            };
-          }
-        if (entry.key === 'est_battery_range') {
-          entry.requiredMetrics = ['xnl.v.b.range.instrument', 'v.b.range.ideal'];
-          entry.metric = function(metrics) {
-            instrumentRange = metrics['xnl.v.b.range.instrument'] || 0;
-            idealRange = metrics['v.b.range.ideal'];
-            return idealRange > 1.1 * instrumentRange ? idealRange : instrumentRange; 
-          };
-        }
-        break;
-      case 'SUBSOL':
-      case 'TOYBZ4X':
-        if (entry.key === 'is_parked') {
-          entry.requiredMetrics = ['v.e.gear'];
-          entry.metric = function(metrics) { 
-            return metrics['v.e.gear'] === 0; 
-          };
-        }
-        break;
-      // Add cases for other vehicle types as needed
-    }
+/**
+ * Orders metricMap entries so that each comes after the entries it is derived from,
+ * otherwise keeping their original order.
+ *
+ * @param {Array} entries - The metricMap entries.
+ * @returns {Array} - The entries in evaluation order.
+ */
+function orderMetricMap(entries) {
+  var byKey = {};
+  var visited = {};
+  var ordered = [];
+
+  entries.forEach(function(entry) {
+    byKey[entry.key] = entry;
   });
+
+  function visit(entry) {
+    if (visited[entry.key] === 'done') {
+      return;
+    }
+    if (visited[entry.key] === 'visiting') {
+      Logger.error('Circular telemetry dependency on ' + entry.key);
+      return;
+    }
+    visited[entry.key] = 'visiting';
+    getTelemetryDependencies(entry).forEach(function(key) {
+      if (byKey[key]) {
+        visit(byKey[key]);
+      }
+    });
+    visited[entry.key] = 'done';
+    ordered.push(entry);
+  }
+
+  entries.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Builds a metricMap from the pristine `baseMetricMap` and the overrides of a vehicle profile.
+ * The base entries are never modified, so the result does not depend on any previous profile.
+ *
+ * @param {Object|null} profile - The vehicle profile, or null for the base metrics only.
+ * @returns {Array} - A new metricMap, in evaluation order.
+ */
+function buildMetricMap(profile) {
+  var overrides = {};
+  if (profile) {
+    profile.metrics.forEach(function(entry) {
+      overrides[entry.key] = entry;
+    });
+  }
+  return orderMetricMap(baseMetricMap.map(function(entry) {
+    if (!overrides[entry.key]) {
+      return entry;
+    }
+    // Replace how the metric is calculated, keeping the description
+    return Object.assign({ key: entry.key, label: entry.label, unit: entry.unit }, overrides[entry.key]);
+  }));
+}
+
+/**
+ * Rebuilds the `metricMap` for the vehicle type retrieved from the OvmsMetrics service.
+ * Runs on startup and whenever the vehicle type is set.
+ */
+function applyVehicleProfile() {
+  var vehicleType = OvmsMetrics.Value('v.type');
+  vehicleProfile = findVehicleProfile(vehicleType);
+  metricMap = buildMetricMap(vehicleProfile);
+  recorder.names = null; // The recorded metrics change with the profile
+  Logger.debug('Vehicle type: ' + vehicleType + ', profile: ' + (vehicleProfile ? vehicleProfile.name : 'none'));
 }
 
 /**
@@ -314,57 +1262,182 @@ function isOvmsMetricSupported(requiredMetrics) {
 }
 
 /**
- * Retrieves the value of the specified OVMS metric parameter.
- * @param {string} parameter - The parameter name of the OVMS metric.
- * @returns {[boolean, any]} - Returns a two-element array. The first element indicates whether the metric is supported, and the second element is the metric value. If the parameter is unrecognized, the array will contain [false, null].
+ * Checks if a way of calculating a metric can be used, i.e. that it has all its required
+ * OVMS metrics, telemetry and settings.
+ * @param {Object} source - A metricMap entry or one of its sources.
+ * @param {Object} telemetry - The telemetry calculated so far.
+ * @returns {boolean} - Returns true if the source can be used, false otherwise.
  */
-function getOVMSMetric(parameter) {
-  // Search through metricMap to find the matching entry
-  var telemetryEntry = null;
-  for (var i = 0; i < metricMap.length; i++) {
-    if (metricMap[i].key === parameter) {
-      telemetryEntry = metricMap[i];
-      break;
-    }
-  }
+function isMetricSourceAvailable(source, telemetry) {
+  var requiredMetrics = source.requiredMetrics || [];
+  var requiredTelemetry = source.requiredTelemetry || [];
+  var requiredSettings = source.requiredSettings || [];
 
-  if (telemetryEntry) {
-    // If requiredMetrics is an empty array, return unsupported
-    if (!telemetryEntry.requiredMetrics || telemetryEntry.requiredMetrics.length === 0) {
-      return [false, null];
+  // Nothing required means the metric is not supported
+  if (!source.metric || requiredMetrics.length + requiredTelemetry.length + requiredSettings.length === 0) {
+    return false;
+  }
+  for (var i = 0; i < requiredTelemetry.length; i++) {
+    if (!(requiredTelemetry[i] in telemetry)) {
+      return false;
     }
-
-    // Check if all required metrics are supported
-    var isSupported = isOvmsMetricSupported(telemetryEntry.requiredMetrics);
-
-    if (isSupported) {
-      // Retrieve the metrics values
-      var metrics = OvmsMetrics.GetValues(telemetryEntry.requiredMetrics);
-      var value = telemetryEntry.metric(metrics); // Pass metrics
-      return [true, value];
-    } else {
-      return [false, null];
+  }
+  for (var j = 0; j < requiredSettings.length; j++) {
+    if (!settings[requiredSettings[j]]) {
+      return false;
     }
-  } else {
-    // If the parameter is not found in metricMap, return [false, null]
-    return [false, null];
   }
+  return isOvmsMetricSupported(requiredMetrics);
 }
 
 /**
- * Creates a telemetry object with the specified parameters.
- * 
- * @returns {Object} The telemetry object containing the supported parameters and their values.
+ * Finds the entry for a telemetry key in a metricMap.
+ *
+ * @returns {Object|null} - The entry, or null if there is none.
+ */
+function findMetricMapEntry(map, key) {
+  for (var i = 0; i < map.length; i++) {
+    if (map[i].key === key) {
+      return map[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Explains why a metricMap entry has no value, for info().
+ */
+function describeUnsupportedMetric(entry, telemetry) {
+  var sources = entry.sources || [entry];
+  var reasons = [];
+  sources.forEach(function(source) {
+    var requiredMetrics = source.requiredMetrics || [];
+    var requiredTelemetry = source.requiredTelemetry || [];
+    var requiredSettings = source.requiredSettings || [];
+    if (!source.metric || requiredMetrics.length + requiredTelemetry.length + requiredSettings.length === 0) {
+      return;
+    }
+    var missing = requiredMetrics.filter(function(name) {
+      return !OvmsMetrics.HasValue(name) || OvmsMetrics.IsStale(name);
+    }).concat(requiredTelemetry.filter(function(key) {
+      return !(key in telemetry);
+    })).concat(requiredSettings.filter(function(key) {
+      return !settings[key];
+    }).map(function(key) {
+      return 'abrp.' + key;
+    }));
+    reasons.push(missing.length ? 'no ' + missing.join(', ') : 'no value');
+  });
+  return reasons.length ? reasons.join(' or ') : 'not reported for this vehicle';
+}
+
+/**
+ * Explains why a telemetry key is not sent because of the field_allowlist and field_denylist
+ * settings. utc is always sent, as every entry needs a time.
+ *
+ * @returns {string|null} - The reason, or null if the key is sent.
+ */
+function findFieldSuppression(key) {
+  if (key === 'utc') {
+    return null;
+  }
+  if (settings.field_allowlist.length && settings.field_allowlist.indexOf(key) < 0) {
+    return 'not in abrp.field_allowlist';
+  }
+  if (settings.field_denylist.indexOf(key) >= 0) {
+    return 'in abrp.field_denylist';
+  }
+  return null;
+}
+
+/**
+ * Applies the field_allowlist, field_denylist and field_precision settings to a telemetry
+ * entry as it is sent. The queued entry keeps every field, as the queue logic relies on them.
+ *
+ * @returns {Object} - A copy of the telemetry with only the fields to send.
+ */
+function applyFieldSettings(telemetry) {
+  var fields = {};
+  Object.keys(telemetry).forEach(function(key) {
+    if (findFieldSuppression(key)) {
+      return;
+    }
+    var decimals = settings.field_precision[key];
+    var value = telemetry[key];
+    fields[key] = decimals !== undefined && typeof value === 'number' ? round(value, decimals) : value;
+  });
+  return fields;
+}
+
+/**
+ * Retrieves the value of the specified OVMS metric parameter.
+ * @param {string} parameter - The parameter name of the OVMS metric.
+ * @param {Object} [telemetry] - The telemetry calculated so far, for metrics derived from other telemetry.
+ * @returns {[boolean, any]} - Returns a two-element array. The first element indicates whether the metric is supported, and the second element is the metric value. If the parameter is unrecognized, the array will contain [false, null].
+ */
+function getOVMSMetric(parameter, telemetry) {
+  // Search through metricMap to find the matching entry
+  var telemetryEntry = findMetricMapEntry(metricMap, parameter);
+
+  if (!telemetryEntry) {
+    // If the parameter is not found in metricMap, return [false, null]
+    return [false, null];
+  }
+
+  telemetry = telemetry || {};
+  var sources = telemetryEntry.sources || [telemetryEntry];
+  for (var j = 0; j < sources.length; j++) {
+    if (!isMetricSourceAvailable(sources[j], telemetry)) {
+      continue;
+    }
+    // Retrieve the metrics values
+    var requiredMetrics = sources[j].requiredMetrics || [];
+    var metrics = requiredMetrics.length ? OvmsMetrics.GetValues(requiredMetrics) : {};
+    var value = sources[j].metric(metrics, telemetry); // Pass metrics and telemetry
+    if (value !== null && value !== undefined) {
+      return [true, value];
+    }
+  }
+  return [false, null];
+}
+
+/**
+ * Creates a telemetry object with the specified parameters, with any privacy zone applied,
+ * and raises a notification when a zone is entered or left.
+ * 
+ * @returns {Object|null} The telemetry object containing the supported parameters and their values,
+ *                        or null inside a privacy zone that suppresses sending.
  */
 function createTelemetry() {
+  var zoneName = findCurrentPrivacyZone();
+  updatePrivacyZone(zoneName);
+  return applyPrivacyZone(collectTelemetry(), zoneName);
+}
+
+/**
+ * Creates the telemetry that would be sent now, like createTelemetry, but without notifying
+ * or recording a privacy zone change, e.g. for abrp info.
+ *
+ * @returns {Object|null} - The telemetry, or null inside a privacy zone that suppresses sending.
+ */
+function previewTelemetry() {
+  return applyPrivacyZone(collectTelemetry(), findCurrentPrivacyZone());
+}
+
+/**
+ * Collects the supported telemetry from the OVMS metrics, before any privacy zone is applied.
+ *
+ * @returns {Object} - The telemetry keyed by metricMap key.
+ */
+function collectTelemetry() {
   var startTime = performance.now();  // Start timer
   var telemetry = {};  // Creating an empty object to hold the telemetry data
 
-  // Use metricMap to fetch and store telemetry data
+  // Use metricMap to fetch and store telemetry data, in dependency order
   metricMap.forEach(function(entry) {
     var key = entry.key;
     
-    var result = getOVMSMetric(key);  // Fetch the metric for the current key
+    var result = getOVMSMetric(key, telemetry);  // Fetch the metric for the current key
     var isSupported = result[0];
     var value = result[1];
 
@@ -378,80 +1451,150 @@ function createTelemetry() {
     Logger.warn("Metrics collected. Finished in " + duration.toFixed(2) + " ms");
   }
 
-  return telemetry;  // Returning the telemetry object
+  return telemetry;
 }
 
 /**
- * Determines if a telemetry change is significant based on a comparison between current and previous telemetry data.
+ * Calculates the distance between two GPS positions using the haversine formula.
+ *
+ * @returns {number} - The distance (m).
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  var toRadians = Math.PI / 180;
+  var dLat = (lat2 - lat1) * toRadians;
+  var dLon = (lon2 - lon1) * toRadians;
+  var a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Finds the privacy zone containing the vehicle position, the first listed if zones overlap.
+ *
+ * @returns {string|null} - The zone name, or null if the vehicle is outside every zone or has no position.
+ */
+function findPrivacyZone(lat, lon) {
+  if (typeof lat !== 'number' || typeof lon !== 'number') {
+    return null;
+  }
+  var names = Object.keys(settings.privacy_zones);
+  for (var i = 0; i < names.length; i++) {
+    var zone = settings.privacy_zones[names[i]];
+    if (calculateDistance(lat, lon, zone.lat, zone.lon) <= zone.radius) {
+      return names[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the privacy zone containing the current vehicle position. Only looks it up, see
+ * updatePrivacyZone.
+ *
+ * @returns {string|null} - The zone name, or null if the vehicle is outside every zone or has no position.
+ */
+function findCurrentPrivacyZone() {
+  return findPrivacyZone(
+    OvmsMetrics.HasValue('v.p.latitude') ? OvmsMetrics.AsFloat('v.p.latitude') : null,
+    OvmsMetrics.HasValue('v.p.longitude') ? OvmsMetrics.AsFloat('v.p.longitude') : null
+  );
+}
+
+/**
+ * Records the privacy zone the vehicle is in, raising a notification when a zone is entered or left.
+ *
+ * @param {string|null} zoneName - The zone the vehicle is in, see findCurrentPrivacyZone.
+ */
+function updatePrivacyZone(zoneName) {
+  if (zoneName === currentPrivacyZone) {
+    return;
+  }
+  if (currentPrivacyZone) {
+    OvmsNotify.Raise('info', 'usr.abrp.privacy', 'ABRP::privacy zone ' + currentPrivacyZone + ' left');
+  }
+  if (zoneName) {
+    OvmsNotify.Raise('info', 'usr.abrp.privacy', 'ABRP::privacy zone ' + zoneName + ' entered');
+  }
+  currentPrivacyZone = zoneName;
+}
+
+/**
+ * Applies the action of a privacy zone to telemetry.
+ *
+ * @param {Object} telemetry - The telemetry, with the exact position.
+ * @param {string|null} zoneName - The zone the vehicle is in, if any.
+ * @returns {Object|null} - The telemetry to use, or null if no telemetry may be sent.
+ */
+function applyPrivacyZone(telemetry, zoneName) {
+  if (!zoneName) {
+    return telemetry;
+  }
+  var zone = settings.privacy_zones[zoneName];
+  return privacyActions[zone.action || 'omit'](telemetry, zone);
+}
+
+/**
+ * Finds the first change rule (see `defaultChangeRules`) matched by a comparison between
+ * current and previous telemetry data. A rule is skipped when its field is missing from
+ * either telemetry, so fields rejected as stale or implausible don't count as changes.
  * @param {Object} currentTelemetry - The current telemetry data object.
  * @param {Object} previousTelemetry - The previous telemetry data object.
- * @returns {boolean} - Returns true if the telemetry change is considered significant, false otherwise.
+ * @returns {Object|null} - The matching rule, or null if the change is not significant.
  */
-function isSignificantTelemetryChange(currentTelemetry, previousTelemetry) {
-  // Significant if the SOC changes so that it updates in ABRP as soon as
-  // possible after it's changed within the vehicle.
-  if (currentTelemetry.soc !== previousTelemetry.soc) {
-    return true
-  }
-  // Significant change if either the is_parked or is_charging states changes
-  if (currentTelemetry.is_charging !== previousTelemetry.is_charging) {
-    return true
-  }
-  if (currentTelemetry.is_parked !== previousTelemetry.is_parked) {
-    return true
-  }
-  // Significant change if the power changes by more than 1 kW while charging.
-  // Another piece of information that is clearly shown within ABRP so good
-  // to be responsive to those changes in charging power.
-  if (
-    currentTelemetry.is_charging &&
-    round(currentTelemetry.power) !== round(previousTelemetry.power)
-  ) {
-    return true
+function findSignificantChange(currentTelemetry, previousTelemetry) {
+  function value(telemetry, rule) {
+    var result = telemetry[rule.key];
+    return rule.precision !== undefined && typeof result === 'number' ? round(result, rule.precision) : result;
+  }
+
+  for (var i = 0; i < changeRules.length; i++) {
+    var rule = changeRules[i];
+    if (!(rule.key in currentTelemetry) || !(rule.key in previousTelemetry)) {
+      continue;
+    }
+    if (rule.state && !changeStates[rule.state](currentTelemetry)) {
+      continue;
+    }
+    if (rule.max_speed !== undefined && !(currentTelemetry.speed <= rule.max_speed)) {
+      continue;
+    }
+    if (changeComparisons[rule.compare](value(currentTelemetry, rule), value(previousTelemetry, rule), rule)) {
+      return rule;
+    }
   }
   // Otherwise, updates purely based on timing considerations based on the
   // current state of the metrics and when the last telemetry was sent
-  return false
+  return null;
+}
+
+/**
+ * Determines if a telemetry change is significant based on a comparison between current and previous telemetry data.
+ * @param {Object} currentTelemetry - The current telemetry data object.
+ * @param {Object} previousTelemetry - The previous telemetry data object.
+ * @returns {boolean} - Returns true if the telemetry change is considered significant, false otherwise.
+ */
+function isSignificantTelemetryChange(currentTelemetry, previousTelemetry) {
+  return findSignificantChange(currentTelemetry, previousTelemetry) !== null;
 }
 
 /**
  * Calculates the maximum elapsed duration for telemetry transmission 
- * based on the current telemetry data and predefined conditions.
+ * based on the current telemetry data and the vehicle state.
  *
  * @param {Object} telemetry - The current telemetry data.
- * @param {number} telemetry.speed - The current speed of the vehicle.
- * @param {boolean} telemetry.is_parked - Indicates if the vehicle is parked.
- * @param {boolean} telemetry.is_dcfc - Indicates if the vehicle is using DC fast charging.
- * @param {boolean} telemetry.is_charging - Indicates if the vehicle is currently charging.
  * 
  * @returns {number} - The maximum elapsed duration in seconds for telemetry transmission.
  *                     Returns 0 if a significant telemetry change is detected, 
- *                     otherwise returns predefined poll rates based on the vehicle's state,
- *                     or defaults to 86400 seconds (24 hours) if parked.
+ *                     otherwise returns the poll interval of the vehicle state, within the data budget.
  */
 function calculateMaxElapsedDuration(telemetry) {
-  if (isSignificantTelemetryChange(telemetry, lastQueuedTelemetry)) {
-    Logger.debug('Significant telemetry change');
+  var rule = findSignificantChange(telemetry, lastQueuedTelemetry);
+  if (rule) {
+    Logger.debug('Significant telemetry change: ' + rule.name);
     return 0; // Always send
   }
-
-  if (telemetry.speed > MIN_CALIBRATION_SPEED) {
-    Logger.debug('Speed greater than minimum calibration speed');
-    return METRIC_POLL_RATE_DRIVING;
-  }
-
-  if (!telemetry.is_parked || telemetry.is_dcfc) {
-    Logger.debug('Driving or DC fast charging');
-    return METRIC_POLL_STALE_CONNECTION;
-  }
-
-  if (telemetry.is_charging) {
-    Logger.debug('Standard charging');
-    return METRIC_POLL_RATE_CHARGING;
-  }
-
-  // Default to 24 hours if parked
-  return 24 * 3600;
+  var interval = budgetedPollInterval(vehicleState);
+  return interval === null ? Infinity : interval; // Significant changes only
 }
 
 /**
@@ -468,36 +1611,50 @@ function queueTelemetry(telemetry, processCollectedData) {
     }
   }
 
-  telemetryToSend.push(telemetry);
   lastQueuedTelemetry = clone(telemetry);
   collectedMetrics = [];  // Reset collected metrics after sending
 
-  // Check the size of telemetryToSend and handle overflow
-  if (telemetryToSend.length > MAX_TELEMETRY_QUEUE_SIZE) {
-    telemetryToSend.shift();  // Remove the oldest element (first in queue)
-    Logger.warn('Telemetry queue exceeded ' + MAX_TELEMETRY_QUEUE_SIZE + ' items. Oldest entry dropped.');
+  if (!isTimeValid) {
+    bufferUnanchoredTelemetry(telemetry);
+    return;
   }
+  addToSinkQueues(telemetry);
+}
+
+/**
+ * Adds telemetry to the queue of every enabled sink.
+ */
+function addToSinkQueues(telemetry) {
+  sinks.forEach(function(sink) {
+    if (!sink.isEnabled()) {
+      return;
+    }
+    sink.state.queue.push(telemetry);
 
-  Logger.debug('Telemetry added, data in queue:', telemetryToSend.length);
+    // Check the size of the queue and handle overflow
+    if (trimTelemetryQueue(sink, true)) {
+      saveTelemetryQueue(sink);
+    } else {
+      saveTelemetryQueue(sink, [telemetry]);
+    }
+
+    Logger.debug(sink.label + ' telemetry added, data in queue:', sink.state.queue.length);
+  });
 }
 
 /**
  * Sends telemetry data to ABRP (A Better Routeplanner) if necessary, based on specified conditions and timing considerations.
  */
 function queueTelemetryIfNecessary() {
-  var currentTelemetry = createTelemetry();
-  var timeSinceLastSent = currentTelemetry.utc - lastQueuedTelemetry.utc;
-
-  if (!BANDWIDTH_SAVER && !currentTelemetry.is_parked) {
-    if (timeSinceLastSent >= METRIC_POLL_RATE_DRIVING) {
-      queueTelemetry(currentTelemetry, BANDWIDTH_SAVER);
-    }
-    return;
+  var currentTelemetry = validateTelemetry(createTelemetry());
+  if (!currentTelemetry) {
+    return; // Inside a privacy zone
   }
+  var timeSinceLastSent = currentTelemetry.utc - lastQueuedTelemetry.utc;
 
-  // Collect all metrics if not parked
-    if (!currentTelemetry.is_parked) {
-    Logger.debug('Not parked. Moving telemetry to array')
+  // Collect all metrics while moving, to smooth the power and speed sent
+  if (isBandwidthSaverOn() && vehicleStates[vehicleState].isMoving) {
+    Logger.debug('Moving. Moving telemetry to array')
     collectedMetrics.push(currentTelemetry);
     Logger.debug('Collected metrics in queue: ' + collectedMetrics.length);
   }
@@ -505,7 +1662,7 @@ function queueTelemetryIfNecessary() {
   var maxElapsedDuration = calculateMaxElapsedDuration(currentTelemetry);
 
   if (timeSinceLastSent >= maxElapsedDuration) {
-    queueTelemetry(currentTelemetry, BANDWIDTH_SAVER);
+    queueTelemetry(currentTelemetry, isBandwidthSaverOn());
   }
 }
 
@@ -513,232 +1670,2189 @@ function queueTelemetryIfNecessary() {
  * Sends telemetry data to ABRP (A Better Routeplanner) if necessary, based on specified conditions and timing considerations.
  */
 function queueTelemetryManual() {
-  var currentTelemetry = createTelemetry();
-  queueTelemetry(currentTelemetry, BANDWIDTH_SAVER);
+  var currentTelemetry = validateTelemetry(createTelemetry());
+  if (currentTelemetry) {
+    queueTelemetry(currentTelemetry, isBandwidthSaverOn());
+  }
 }
 
-// Queue Processing and Data Transmission
+// Telemetry Data Quality
 
 /**
- * Removes a specified number of elements from the beginning of the telemetryToSend array.
+ * Counts a field rejected by the data-quality filter, for diagnostics.
  *
- * @param {number} count - The number of elements to remove from the start of the telemetryToSend array.
- * @returns {void} - This function does not return a value; it modifies the telemetryToSend array in place.
+ * @param {string} reason - 'stale', 'gps' or 'implausible'.
+ * @param {string} key - The telemetry key rejected.
  */
-function removeTelemetry(count) {
-  telemetryToSend.splice(0, count);
+function countRejection(reason, key) {
+  var counts = dataQualityRejections[reason] = dataQualityRejections[reason] || {};
+  counts[key] = (counts[key] || 0) + 1;
 }
 
 /**
- * Sends single telemetry data to the ABRP (A Better Routeplanner) API.
- * Only used in oneTime()
- * @param {Object} telemetry - The telemetry data to be sent to ABRP.
+ * Checks if a telemetry field was calculated from a stale OVMS metric, or from other
+ * telemetry that was rejected.
+ *
+ * @param {Object} entry - The metricMap entry of the field.
+ * @param {Object} telemetry - The telemetry checked so far.
+ * @param {Array} rejected - The keys already rejected.
  */
-function sendTelemetry(telemetry) {
-  Logger.info('Sending telemetry to ABRP', telemetry)
-  var url =
-    'https://api.iternio.com/1/tlm/send?api_key=' +
-    encodeURIComponent(OVMS_API_KEY) +
-    '&token=' +
-    encodeURIComponent(user_token) +
-    '&tlm=' +
-    encodeURIComponent(JSON.stringify(telemetry))
+function isTelemetryFieldStale(entry, telemetry, rejected) {
+  var sources = entry.sources || [entry];
+  for (var i = 0; i < sources.length; i++) {
+    // The source the value came from, as chosen by getOVMSMetric
+    if (!isMetricSourceAvailable(sources[i], telemetry)) {
+      continue;
+    }
+    var isStale = (sources[i].requiredMetrics || []).some(function(name) {
+      return OvmsMetrics.IsStale(name);
+    });
+    return isStale || (sources[i].requiredTelemetry || []).some(function(key) {
+      return rejected.indexOf(key) >= 0;
+    });
+  }
+  return false;
+}
 
-  // Perform the HTTP request
-  HTTP.Request({
-    url: url,
-    timeout: 5000,
-    done: function (response) {
-      if (response.statusCode === 200) {
-        Logger.debug('Telemetry data sent successfully.');
-      } else {
-        Logger.warn('Non-200 response from ABRP', response);
-      }
-    },
-    fail: function (error) {
-      Logger.error('ABRP error', error);
-    },
-  });
+/**
+ * Checks if the GPS fix is too poor for the position to be used: no lock, too few
+ * satellites (min_gps_satellites) or a high HDOP (max_gps_hdop). Metrics the vehicle
+ * does not report are not checked.
+ */
+function isGpsFixPoor() {
+  if (OvmsMetrics.HasValue('v.p.gpslock') && !OvmsMetrics.Value('v.p.gpslock')) {
+    return true;
+  }
+  var satellites = metricValue('v.p.satcount');
+  if (settings.min_gps_satellites && satellites !== null && satellites < settings.min_gps_satellites) {
+    return true;
+  }
+  var hdop = metricValue('v.p.gpshdop');
+  return !!settings.max_gps_hdop && hdop !== null && hdop > settings.max_gps_hdop;
 }
 
 /**
- * Creates a bulk telemetry post object, containing up to the first 10 elements
- * of the telemetry data to be sent.
- * @returns {Object} The bulk telemetry post object, including the user token and 
- *                   a telemetry list with a maximum of 10 telemetry entries.
+ * Checks if a sample is a physically possible change from the last accepted sample of a
+ * field. A rejected sample becomes a candidate, and is accepted if the next sample is
+ * plausible from it, so that only one-off glitches are dropped.
+ *
+ * @param {string} key - The field, or 'position'.
+ * @param {Object} sample - The value(s) of the field and the `utc` of the sample.
+ * @param {Function} isWithinLimit - Returns true if a sample is a possible change from a previous one.
+ * @returns {boolean} - True if the sample is accepted.
  */
-function createBulkPost() {
-  // Create the structure
-  return {
-    data: [
-      {
-        token: user_token,
-        tlm_list: telemetryToSend
-      }
-    ]
-  };
+function isChangePlausible(key, sample, isWithinLimit) {
+  var last = lastValidValues[key];
+  var candidate = plausibilityCandidates[key];
+  // Time going backwards, e.g. after a GPS time fix, restarts the checks
+  if (!last || sample.utc < last.utc || isWithinLimit(last, sample) ||
+      candidate && sample.utc >= candidate.utc && isWithinLimit(candidate, sample)) {
+    lastValidValues[key] = sample;
+    delete plausibilityCandidates[key];
+    return true;
+  }
+  plausibilityCandidates[key] = sample;
+  return false;
 }
 
 /**
- * Sends telemetry data to the ABRP (A Better Routeplanner) API.
- * @param {Object} telemetry - The telemetry data to be sent to ABRP.
+ * Validates telemetry before it is queued. Fields from stale metrics, the position
+ * with a poor GPS fix and physically implausible jumps are dropped, and every
+ * rejection is counted. utc is always kept.
+ *
+ * @param {Object|null} telemetry - The telemetry from createTelemetry.
+ * @returns {Object|null} - The telemetry, without rejected fields.
  */
-function sendBulkTelemetry() {
-  if (telemetryToSend.length === 0) {
-    // Logger.debug('Processing queue. No data to send.');
-    return;
+function validateTelemetry(telemetry) {
+  if (!telemetry) {
+    return telemetry;
+  }
+  var rejected = [];
+  function reject(reason, key) {
+    if (key in telemetry && key !== 'utc') {
+      delete telemetry[key];
+      rejected.push(key);
+      countRejection(reason, key);
+    }
   }
 
-  Logger.debug('Sending bulk telemetry to ABRP');
-  var url =
-  'https://api.iternio.com/1/tlm/bulk?api_key=' +
-  encodeURIComponent(OVMS_API_KEY)
+  metricMap.forEach(function(entry) {
+    if (entry.key in telemetry && isTelemetryFieldStale(entry, telemetry, rejected)) {
+      reject('stale', entry.key);
+    }
+  });
 
-  var bulkPost = createBulkPost();
+  if (isGpsFixPoor()) {
+    positionFields.forEach(function(key) {
+      reject('gps', key);
+    });
+  }
 
-  // Perform the HTTP request
-  HTTP.Request({
-    url: url,
-    headers: [ { "Content-Type": "application/json" } ], // Set the content type to JSON
-    post: JSON.stringify(bulkPost),
-    timeout: 8000,  // 8 second timeout - Need to complete within ticker.10
-    done: function (response) {
-      if (response.statusCode === 200) {
-        Logger.debug('Telemetry bulk data sent successfully. Removing from queue.');
-        logTlmList(bulkPost);        
-        // Remove the successfully sent telemetry
-        var count = bulkPost.data[0].tlm_list.length;
-        removeTelemetry(count);
-      } else {
-        Logger.warn('Non-200 response from ABRP', response);
-      }
-    },
-    fail: function (error) {
-      Logger.error('ABRP error', error);
-    },
+  plausibilityLimits.forEach(function(limit) {
+    if (typeof telemetry[limit.key] !== 'number') {
+      return;
+    }
+    var sample = { value: telemetry[limit.key], utc: telemetry.utc };
+    var isPlausible = isChangePlausible(limit.key, sample, function(previous, current) {
+      var change = current.value - previous.value;
+      var maxChange = limit.allowance + limit.rate * (current.utc - previous.utc);
+      return Math.abs(change) <= maxChange && !(limit.isIncreasing && change < -limit.allowance);
+    });
+    if (!isPlausible) {
+      reject('implausible', limit.key);
+    }
   });
-}
 
-// Event Handlers
+  // A jump in position implying an impossible speed, e.g. a GPS glitch
+  if (typeof telemetry.lat === 'number' && typeof telemetry.lon === 'number') {
+    var position = { lat: telemetry.lat, lon: telemetry.lon, utc: telemetry.utc };
+    var isPlausible = isChangePlausible('position', position, function(previous, current) {
+      return calculateDistance(previous.lat, previous.lon, current.lat, current.lon) <=
+        MAX_PLAUSIBLE_DISTANCE + MAX_PLAUSIBLE_SPEED / 3.6 * (current.utc - previous.utc);
+    });
+    if (!isPlausible) {
+      positionFields.forEach(function(key) {
+        reject('implausible', key);
+      });
+    }
+  }
 
-/**
- * Handles the event when the vehicle is switched on.
- * Logs an informational message and sends an initial telemetry update to the queue.
- * Subscribes to the 'ticker.1' event to queue telemetry if necessary.
- *
- * @returns {void} - This function does not return a value; it performs actions related to the vehicle's power state.
- */
-function callbackVehicleOn() {
-  Logger.info('Vehicle switched on...');
-  // Send an initial telemetry to the queue
-  queueTelemetryManual();
-  subscribe('ticker.1', queueTelemetryIfNecessary);
+  if (rejected.length) {
+    Logger.debug('Telemetry fields rejected: ' + rejected.join(', '));
+  }
+  return telemetry;
 }
 
+// Telemetry Queue Overflow
+
 /**
- * Handles the event when the vehicle is switched off.
- * Logs an informational message and unsubscribes from the 'ticker.1' event.
- * Sends a final telemetry update to the queue, attempts to process the telemetry queue,
- * and clears the collected metrics for the session.
+ * Finds routine telemetry entries whose removal loses the least information, in one pass.
+ *
+ * An entry is routine if it is not a significant change (see `isSignificantTelemetryChange`)
+ * from the entry before it, so charge start/stop, park/unpark and SOC changes are never
+ * candidates. Of the routine entries, those with their neighbours closest together in time
+ * are chosen, thinning the densest stretch of driving first. No two chosen entries are
+ * adjacent, so the neighbours each was chosen by remain. The first and last entries are
+ * kept as anchors.
  *
- * @returns {void} - This function does not return a value; it performs actions related to the vehicle's power state.
+ * @param {Array} queue - The queued telemetry entries, oldest first.
+ * @param {number} count - The most entries to find.
+ * @returns {Array} - The indexes of the entries to remove, in ascending order. Empty if there
+ *   are no routine entries.
  */
-function callbackVehicleOff() {
-  Logger.info('Vehicle switched off...');
-  unsubscribe('ticker.1');
-  // Send a final telemetry to the queue
-  queueTelemetryManual();
-  collectedMetrics = []; // Session is complete. Clear collectedMetrics.
+function findRoutineTelemetryToDrop(queue, count) {
+  var candidates = [];
+  for (var i = 1; i < queue.length - 1; i++) {
+    if (!isSignificantTelemetryChange(queue[i], queue[i - 1])) {
+      candidates.push({ index: i, gap: queue[i + 1].utc - queue[i - 1].utc });
+    }
+  }
+  candidates.sort(function(a, b) {
+    return a.gap - b.gap || a.index - b.index;
+  });
+
+  var isChosen = {};
+  var indexes = [];
+  for (var j = 0; j < candidates.length && indexes.length < count; j++) {
+    var index = candidates[j].index;
+    if (!isChosen[index - 1] && !isChosen[index + 1]) {
+      isChosen[index] = true;
+      indexes.push(index);
+    }
+  }
+  return indexes.sort(function(a, b) {
+    return a - b;
+  });
 }
 
 /**
- * Manages subscribing or unsubscribing to vehicle state events based on the provided parameter.
- *
- * If subscribing, it registers callbacks for various vehicle state events and checks the current
- * state of the vehicle to invoke the appropriate callback. If unsubscribing, it removes the
- * event subscriptions and invokes the `callbackVehicleOff` function.
+ * Thins a sink queue once it exceeds the max_queue_size setting. Routine entries are downsampled
+ * first, and only when every entry is a significant change are the oldest entries dropped.
+ * Each pass over the queue removes up to half of the routine entries, so even a large
+ * reduction, e.g. of the max_queue_size setting, takes only a few passes.
  *
- * @param {boolean} shouldSubscribe - If true, subscribes to vehicle state events; if false, unsubscribes.
- * 
- * @returns {void} - This function does not return a value; it modifies the subscription state for vehicle events.
+ * @param {Object} sink - The sink whose queue to thin.
+ * @param {boolean} [isFull] - Whether new telemetry overflowed the queue, which raises a
+ *                             notification. Shrinking the setting or loading the stored queue doesn't.
+ * @returns {number} - The number of entries dropped.
  */
-function manageVehicleStateEvents(shouldSubscribe) {
-  if (shouldSubscribe) {
-    Logger.debug('Subscribing to Vehicle State Events');
-  } else {
-    Logger.debug('Unsubscribing to Vehicle State Events');
+function trimTelemetryQueue(sink, isFull) {
+  var queue = sink.state.queue;
+  var maxQueueSize = settings.max_queue_size;
+  var excess = queue.length - maxQueueSize;
+  if (excess <= 0) {
+    return 0;
   }
-  
-  if (shouldSubscribe) {
-    subscribe('vehicle.type.set', overrideMetricMap);
-    subscribe('ticker.10', sendBulkTelemetry)
-    subscribe('vehicle.on', callbackVehicleOn);
-    subscribe('vehicle.charge.start', callbackVehicleOn);
-    subscribe('vehicle.off', callbackVehicleOff);
-    subscribe('vehicle.charge.stop', callbackVehicleOff);
 
-    if (OvmsMetrics.Value('v.e.on')) {
-      // Vehicle is already running
-      Logger.debug('Vehicle is ON or charging');
-      callbackVehicleOn();  
-    } else {
-      Logger.debug('Vehicle is OFF');
+  var thinned = 0;
+  while (queue.length > maxQueueSize) {
+    var indexes = findRoutineTelemetryToDrop(queue, queue.length - maxQueueSize);
+    if (indexes.length === 0) {
+      break;
     }
-  
-  } else {
-    unsubscribe('vehicle.on');
-    unsubscribe('vehicle.charge.start');
-    unsubscribe('vehicle.off');
-    unsubscribe('vehicle.charge.stop');
-    callbackVehicleOff();
+    // Compacted in place, as splicing each entry would move the rest of the queue every time
+    var kept = 0;
+    for (var i = 0, next = 0; i < queue.length; i++) {
+      if (i === indexes[next]) {
+        next++;
+      } else {
+        queue[kept++] = queue[i];
+      }
+    }
+    queue.length = kept;
+    thinned += indexes.length;
   }
 
-  isActive = shouldSubscribe;
-}
+  var oldest = queue.length - maxQueueSize;
+  if (oldest > 0) {
+    queue.splice(0, oldest);  // Remove the oldest elements (first in queue)
+  }
 
-/**
- * Monitors time and checks if it becomes valid, based on a minimum timestamp (Jan 1, 2000).
- * If valid, unsubscribes from the 'ticker.1' event and triggers startup logic.
- */
-function checkTime() {
-  const minValidTime = 946684800; // Unix timestamp for Jan 1, 2000
-  if (OvmsMetrics.Value('m.time.utc') > minValidTime) {
-    isTimeValid = true;  // Mark the time as valid
-    Logger.debug('GPS time is valid, unsubscribing from ticker.1');
-    
-    // Unsubscribe from the ticker.1 event once the time is valid
-    unsubscribe('ticker.1');
-    
-    // Proceed with startup
-    send(true);
-  } else {
-    Logger.debug('Invalid GPS time, skipping telemetry processing.');
+  Logger.warn(sink.label + ' telemetry queue exceeded ' + maxQueueSize + ' items. Routine entries thinned: ' +
+    thinned + ', oldest entries dropped: ' + Math.max(oldest, 0));
+  sink.state.pointsDropped += excess;
+  if (isFull) {
+    notifyDeliveryProblem(sink, 'overflow', sink.label + ' telemetry queue full, ' + excess +
+      ' entries dropped. Telemetry has not been delivered for a while');
   }
+  return excess;
 }
 
-// Core Control Functions
+// Telemetry Queue Persistence
 
 /**
- * Logs telemetry data to the console.
+ * Parses the JSON lines content of a telemetry queue or record log file.
+ * Lines that cannot be parsed (e.g. a partial write during a power loss) are skipped.
+ *
+ * @param {string} data - The file content, one object per line.
+ * @returns {Array} - The entries in file order.
  */
-function info() {
-  var telemetry = createTelemetry();
-
-  // Helper function for formatting output
-  function logTelemetry(key, label, unit) {
-    unit = unit || '';  // Default to empty string if unit is not provided
-    if (telemetry.hasOwnProperty(key)) {
-      Logger.log(label + ': ' + telemetry[key] + ' ' + unit);
+function parseJsonLines(data) {
+  var entries = [];
+  String(data || '').split('\n').forEach(function(line) {
+    if (!line.trim()) {
+      return;
     }
-  }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      Logger.warn('Skipping unreadable line: ' + line);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Serializes entries as JSON lines for a telemetry queue or record log file.
+ */
+function serializeJsonLines(entries) {
+  return entries.map(function(entry) {
+    return JSON.stringify(entry) + '\n';
+  }).join('');
+}
+
+/**
+ * Persists a sink queue to the file named by its queueFileSetting.
+ *
+ * With entries, they are appended to the file. Without, the file is rewritten
+ * (compacted) from the current in-memory queue. Nothing is written until the
+ * stored queue has been loaded on startup, as the load is followed by a rewrite.
+ *
+ * @param {Object} sink - The sink whose queue to persist.
+ * @param {Array} [entries] - Newly queued telemetry entries to append.
+ */
+function saveTelemetryQueue(sink, entries) {
+  var state = sink.state;
+  if (!state.isQueueLoaded) {
+    return;
+  }
+  if (!entries) {
+    // A rewrite captures the whole queue, superseding any pending operations
+    state.queueFileOps = [];
+    state.isQueueFileStale = false;
+    state.queueFileCompactedAt = monotonicTime();
+  }
+  state.queueFileOps.push({ append: entries });
+  processQueueFileOps(sink);
+}
+
+/**
+ * Runs the pending queue file operations of a sink one at a time so that
+ * appends and rewrites reach the file in the order they were requested.
+ */
+function processQueueFileOps(sink) {
+  var state = sink.state;
+  if (state.isQueueFileBusy || state.queueFileOps.length === 0) {
+    return;
+  }
+  var op = state.queueFileOps.shift();
+  var isAppend = !!op.append;
+  if (!isAppend) {
+    // The queue at the time of writing includes any entries appended meanwhile
+    state.queueFileOps = [];
+  }
+
+  state.isQueueFileBusy = true;
+  VFS.Save({
+    path: settings[sink.queueFileSetting],
+    data: serializeJsonLines(isAppend ? op.append : state.queue),
+    append: isAppend,
+    done: function() {
+      state.isQueueFileBusy = false;
+      processQueueFileOps(sink);
+    },
+    fail: function(error) {
+      Logger.error('Failed to save ' + sink.label + ' telemetry queue', error);
+      state.isQueueFileBusy = false;
+      processQueueFileOps(sink);
+    },
+  });
+}
+
+/**
+ * Restores a sink queue from its file on startup.
+ * Stored entries are older than anything queued while loading, so they are placed first.
+ */
+function loadTelemetryQueue(sink) {
+  var state = sink.state;
+
+  function loaded(stored) {
+    state.queue = stored.concat(state.queue);
+    state.isQueueLoaded = true;
+    trimTelemetryQueue(sink);
+    saveTelemetryQueue(sink);
+  }
+
+  VFS.Load({
+    path: settings[sink.queueFileSetting],
+    done: function(data) {
+      var stored = parseJsonLines(data);
+      Logger.info('Restored ' + sink.label + ' telemetry queue, data in queue:', stored.length);
+      loaded(stored);
+    },
+    fail: function(error) {
+      Logger.debug('No stored ' + sink.label + ' telemetry queue', error);
+      loaded([]);
+    },
+  });
+}
+
+// Delivery Notifications
+
+/**
+ * Raises a notification for a delivery problem of a sink, e.g. a rejected token, so drivers
+ * know ABRP is not getting live data. Repeats of the same problem are limited to one every
+ * notify_repeat_interval.
+ *
+ * @param {Object} sink - The sink with the problem.
+ * @param {string} problem - 'rejected', 'failing' or 'overflow'.
+ * @param {string} message - The notification text.
+ */
+function notifyDeliveryProblem(sink, problem, message) {
+  var notified = sink.state.notifiedProblems;
+  var now = monotonicTime();
+  if (problem in notified && now - notified[problem] < settings.notify_repeat_interval) {
+    return;
+  }
+  notified[problem] = now;
+  OvmsNotify.Raise('alert', 'usr.abrp.status', 'ABRP::' + message);
+}
+
+/**
+ * Raises a notification that telemetry is delivered again, if a delivery failure was notified.
+ * A full queue is not a delivery failure in itself, so it doesn't raise a recovery.
+ */
+function notifyDeliveryRecovered(sink) {
+  var notified = sink.state.notifiedProblems;
+  var failures = Object.keys(notified).filter(function(problem) {
+    return problem !== 'overflow';
+  });
+  if (failures.length === 0) {
+    return;
+  }
+  sink.state.notifiedProblems = {};
+  OvmsNotify.Raise('info', 'usr.abrp.status', 'ABRP::' + sink.label + ' delivery recovered, ' +
+    sink.state.queue.length + ' entries queued');
+}
+
+// Data Budget
+
+/**
+ * dataBudgetLevels defines how sending degrades as the monthly data_budget is used up, to
+ *   stay within the data plan of the SIM. Each level applies the ones before it too.
+ *
+ * Each level contains the following properties:
+ * - used: The fraction of the budget used from which the level applies.
+ * - label: A descriptive name for the level to be displayed in UI or logs.
+ */
+const dataBudgetLevels = [
+  { used: 0, label: 'Normal' },
+  // Smoothed telemetry at the stale connection poll rate while driving
+  { used: 0.5, label: 'Bandwidth saver' },
+  // Driving telemetry at most every data_budget_poll_rate
+  { used: 0.75, label: 'Longer driving intervals' },
+  { used: 0.9, label: 'Significant changes only' },
+];
+
+/**
+ * Returns the size of HTTP headers, given as an array of objects of names and values.
+ */
+function headerBytes(headers) {
+  return (headers || []).reduce(function(total, header) {
+    return total + Object.keys(header).reduce(function(bytes, name) {
+      return bytes + name.length + String(header[name]).length + 4; // ': ' and CRLF
+    }, 0);
+  }, 0);
+}
+
+/**
+ * Estimates the cellular data used by an HTTP request and its response, if any, including the
+ * data_request_overhead setting. Lengths are counted in characters, as the telemetry is ASCII.
+ *
+ * @param {Object} request - The request, with `url` and optional `headers` and `post`.
+ * @param {Object} [response] - The response, with optional `headers` and `body`.
+ * @returns {number} - The estimated bytes.
+ */
+function requestDataUsage(request, response) {
+  var bytes = settings.data_request_overhead + request.url.length + headerBytes(request.headers) + (request.post || '').length;
+  if (response) {
+    bytes += headerBytes(response.headers) + String(response.body || '').length;
+  }
+  return bytes;
+}
+
+/**
+ * Returns the keys of the day and of the month of the data budget a UTC time falls in, e.g.
+ * '2024-09-22' and '2024-09-01'. A month starts on the data_budget_reset_day.
+ */
+function dataUsagePeriods(utc) {
+  var date = new Date(utc * 1000);
+  var day = date.getUTCDate();
+  var resetDay = settings.data_budget_reset_day;
+  var month = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - (day < resetDay ? 1 : 0), resetDay));
+  return { day: date.toISOString().substring(0, 10), month: month.toISOString().substring(0, 10) };
+}
+
+/**
+ * Returns the data used in the current day and month of the data budget. Before the time is
+ * valid, the most recent ones are used.
+ *
+ * @returns {Object} - The `day` and `month` keys, and the bytes used in each (`dayBytes`
+ *   and `monthBytes`).
+ */
+function currentDataUsage() {
+  var utc = currentUtc();
+  var periods;
+  if (utc > MIN_VALID_TIME) {
+    periods = dataUsagePeriods(utc);
+  } else {
+    periods = { day: Object.keys(dataUsage.days).sort().pop(), month: Object.keys(dataUsage.months).sort().pop() };
+  }
+  periods.dayBytes = (dataUsage.days[periods.day] || 0) + undatedDataUsage;
+  periods.monthBytes = (dataUsage.months[periods.month] || 0) + undatedDataUsage;
+  return periods;
+}
+
+/**
+ * Finds the dataBudgetLevels index that applies to the data used this month.
+ */
+function findDataBudgetLevel() {
+  if (!settings.data_budget) {
+    return 0;
+  }
+  var used = currentDataUsage().monthBytes / (settings.data_budget * BYTES_PER_MB);
+  for (var level = dataBudgetLevels.length - 1; level > 0; level--) {
+    if (used >= dataBudgetLevels[level].used) {
+      return level;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Checks whether telemetry is smoothed and sent less often while driving, as the bandwidth_saver
+ * setting is on or the data budget is running low.
+ */
+function isBandwidthSaverOn() {
+  return settings.bandwidth_saver || findDataBudgetLevel() >= 1;
+}
+
+/**
+ * Returns the poll interval of a vehicle state, lengthened as the data budget is used up.
+ *
+ * @param {string} state - The vehicleStates key.
+ * @returns {number|null} - The longest time (s) between queued telemetry, or null to queue
+ *   significant changes only.
+ */
+function budgetedPollInterval(state) {
+  var interval = vehicleStates[state].pollInterval();
+  var level = findDataBudgetLevel();
+  if (interval === null || level >= 3) {
+    return null;
+  }
+  if (level >= 2 && vehicleStates[state].isMoving) {
+    return Math.max(interval, settings.data_budget_poll_rate);
+  }
+  return interval;
+}
+
+/**
+ * Removes all but the most recent totals of a data usage record, keyed by date.
+ */
+function trimDataUsage(totals, count) {
+  Object.keys(totals).sort().reverse().slice(count).forEach(function(key) {
+    delete totals[key];
+  });
+}
+
+/**
+ * Adds the data used by a request to the daily and monthly totals, notifying when the data
+ * budget level changes. The totals are saved at most every DATA_USAGE_SAVE_INTERVAL, and
+ * data used before the time is valid is added to the day it becomes valid.
+ *
+ * @param {number} bytes - The bytes used, see requestDataUsage.
+ */
+function countDataUsage(bytes) {
+  var utc = currentUtc();
+  if (utc > MIN_VALID_TIME) {
+    var periods = dataUsagePeriods(utc);
+    bytes += undatedDataUsage;
+    undatedDataUsage = 0;
+    dataUsage.days[periods.day] = (dataUsage.days[periods.day] || 0) + bytes;
+    dataUsage.months[periods.month] = (dataUsage.months[periods.month] || 0) + bytes;
+    trimDataUsage(dataUsage.days, DATA_USAGE_DAYS);
+    trimDataUsage(dataUsage.months, DATA_USAGE_MONTHS);
+  } else {
+    undatedDataUsage += bytes;
+  }
+
+  var level = findDataBudgetLevel();
+  if (level !== lastDataBudgetLevel && settings.data_budget) {
+    var message = 'Data budget ' + round(100 * currentDataUsage().monthBytes / (settings.data_budget * BYTES_PER_MB)) +
+      '% used, sending: ' + dataBudgetLevels[level].label;
+    Logger.info(message);
+    OvmsNotify.Raise('info', 'usr.abrp.status', 'ABRP::' + message);
+  }
+  lastDataBudgetLevel = level;
+
+  if (monotonicTime() - dataUsageSavedAt >= DATA_USAGE_SAVE_INTERVAL) {
+    saveDataUsage();
+  }
+}
+
+/**
+ * Persists the daily and monthly data usage to the data_usage_file setting.
+ */
+function saveDataUsage() {
+  if (!isDataUsageLoaded) {
+    return;
+  }
+  dataUsageSavedAt = monotonicTime();
+  VFS.Save({
+    path: settings.data_usage_file,
+    data: JSON.stringify(dataUsage),
+    fail: function(error) {
+      Logger.error('Failed to save data usage', error);
+    },
+  });
+}
+
+/**
+ * Restores the data usage from the data_usage_file setting on startup, adding anything used
+ * while loading.
+ */
+function loadDataUsage() {
+  function loaded(stored) {
+    ['days', 'months'].forEach(function(period) {
+      Object.keys(dataUsage[period]).forEach(function(key) {
+        stored[period][key] = (stored[period][key] || 0) + dataUsage[period][key];
+      });
+    });
+    dataUsage = stored;
+    isDataUsageLoaded = true;
+    lastDataBudgetLevel = findDataBudgetLevel();
+  }
+
+  VFS.Load({
+    path: settings.data_usage_file,
+    done: function(data) {
+      try {
+        var stored = JSON.parse(data);
+        loaded(stored && stored.days && stored.months ? stored : { days: {}, months: {} });
+      } catch (e) {
+        Logger.warn('Ignoring unreadable data usage');
+        loaded({ days: {}, months: {} });
+      }
+    },
+    fail: function(error) {
+      Logger.debug('No stored data usage', error);
+      loaded({ days: {}, months: {} });
+    },
+  });
+}
+
+// Queue Processing and Data Transmission
+
+/**
+ * Creates the queue and send state of a sink.
+ */
+function createSinkState() {
+  return {
+    queue: [],
+    isQueueLoaded: false,
+    isQueueFileBusy: false,
+    queueFileOps: [],
+    isQueueFileStale: false,
+    queueFileCompactedAt: -Infinity,
+    isSendInFlight: false,
+    sendStartedAt: 0,
+    lastSendAttempt: -Infinity,
+    consecutiveFailures: 0,
+    nextSendAttempt: 0,
+    rejectedCredentials: null,
+    failingSince: null,
+    notifiedProblems: {},
+    // Diagnostics, see sinkStatusFields
+    lastSuccessUtc: null,
+    lastStatus: null,
+    requestCount: 0,
+    totalLatency: 0,
+    pointsSent: 0,
+    pointsDropped: 0,
+  };
+}
+
+/**
+ * Checks if any sink is configured to receive telemetry.
+ */
+function isAnySinkEnabled() {
+  return sinks.some(function(sink) {
+    return sink.isEnabled();
+  });
+}
+
+/**
+ * Removes the given telemetry entries from a sink queue. Entries are matched by identity,
+ * so anything queued (or trimmed) after a bulk post was created is left untouched.
+ *
+ * The queue file keeps the removed entries until it is next compacted, at most every
+ * QUEUE_COMPACT_INTERVAL, rather than being rewritten after every send.
+ *
+ * @param {Object} sink - The sink whose queue to remove the entries from.
+ * @param {Array} entries - The telemetry entries to remove, e.g. the entries of a sent bulk post.
+ * @param {boolean} [isImmediate] - Compact the queue file straight away, e.g. when cleared.
+ * @returns {void} - This function does not return a value; it replaces the sink queue.
+ */
+function removeTelemetry(sink, entries, isImmediate) {
+  sink.state.queue = sink.state.queue.filter(function(entry) {
+    return entries.indexOf(entry) < 0;
+  });
+  sink.state.isQueueFileStale = true;
+  compactTelemetryQueue(sink, isImmediate);
+}
+
+/**
+ * Rewrites the queue file of a sink without the entries removed since it was last written,
+ * if it was not rewritten within QUEUE_COMPACT_INTERVAL. Once stopped, e.g. after the last send
+ * of abrp stop, nothing more is appended, so the file is compacted straight away.
+ *
+ * @param {Object} sink - The sink whose queue file to compact.
+ * @param {boolean} [isImmediate] - Compact regardless of when the file was last rewritten.
+ */
+function compactTelemetryQueue(sink, isImmediate) {
+  var state = sink.state;
+  if (!state.isQueueFileStale) {
+    return;
+  }
+  var isDue = monotonicTime() - state.queueFileCompactedAt >= QUEUE_COMPACT_INTERVAL;
+  if (isImmediate || isDue || lifecycleState === 'stopped') {
+    saveTelemetryQueue(sink);
+  }
+}
+
+/**
+ * Calculates the delay before the next send attempt after consecutive failures.
+ * The delay doubles for each failure up to SEND_BACKOFF_MAX, with jitter so a
+ * fleet of vehicles losing a sink at the same time does not retry in lockstep.
+ *
+ * @param {number} failures - The number of consecutive failed send attempts.
+ * @returns {number} - The delay in seconds, between half and all of the backoff.
+ */
+function calculateSendBackoff(failures) {
+  var backoff = Math.min(SEND_BACKOFF_MAX, SEND_BACKOFF_BASE * Math.pow(2, failures - 1));
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Records a failed send attempt to a sink that is worth retrying and schedules the next attempt.
+ */
+function recordSendFailure(sink, reason, obj) {
+  var state = sink.state;
+  state.consecutiveFailures++;
+  if (state.failingSince === null) {
+    state.failingSince = monotonicTime();
+  }
+  var failingFor = monotonicTime() - state.failingSince;
+  if (settings.notify_failure_after && failingFor >= settings.notify_failure_after) {
+    notifyDeliveryProblem(sink, 'failing', sink.label + ' delivery failing for ' + formatDuration(failingFor) +
+      ' (' + reason + '), ' + state.queue.length + ' entries queued');
+  }
+  var delay = calculateSendBackoff(state.consecutiveFailures);
+  state.nextSendAttempt = monotonicTime() + delay;
+  Logger.warn(reason + '. Retrying in ' + round(delay) + ' s (' + state.consecutiveFailures + ' consecutive failures)', obj);
+}
+
+/**
+ * Records that a sink was reached, clearing any backoff.
+ */
+function recordSendSuccess(sink) {
+  sink.state.consecutiveFailures = 0;
+  sink.state.nextSendAttempt = 0;
+  sink.state.failingSince = null;
+}
+
+/**
+ * Checks whether sending to a sink is paused because it rejected the credentials.
+ * Sending resumes as soon as different credentials are configured.
+ *
+ * @returns {boolean} - True while the rejected credentials are still the configured ones.
+ */
+function isSinkPaused(sink) {
+  var state = sink.state;
+  if (state.rejectedCredentials === null) {
+    return false;
+  }
+  if (sink.credentials() !== state.rejectedCredentials) {
+    Logger.info(sink.label + ' ' + sink.credentialsLabel + ' changed. Resuming sending');
+    state.rejectedCredentials = null;
+    recordSendSuccess(sink);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Sends single telemetry data to the ABRP (A Better Routeplanner) API.
+ * Only used in oneTime(). The result is kept as the test_result status, e.g. for the web page.
+ * @param {Object} telemetry - The telemetry data to be sent to ABRP.
+ */
+function sendTelemetry(telemetry) {
+  Logger.info('Sending telemetry to ABRP', telemetry)
+  var url =
+    'https://api.iternio.com/1/tlm/send?api_key=' +
+    encodeURIComponent(OVMS_API_KEY) +
+    '&token=' +
+    encodeURIComponent(user_token) +
+    '&tlm=' +
+    encodeURIComponent(JSON.stringify(telemetry))
+
+  // Perform the HTTP request
+  HTTP.Request({
+    url: url,
+    timeout: 5000,
+    done: function (response) {
+      if (response.statusCode === 200) {
+        Logger.debug('Telemetry data sent successfully.');
+      } else {
+        Logger.warn('Non-200 response from ABRP', response);
+      }
+      setTestResult('HTTP ' + response.statusCode + ' ' + String(response.body || '').substring(0, 200));
+      countDataUsage(requestDataUsage({ url: url }, response));
+    },
+    fail: function (error) {
+      Logger.error('ABRP error', error);
+      setTestResult('Error: ' + error);
+      countDataUsage(requestDataUsage({ url: url }));
+    },
+  });
+}
+
+/**
+ * Records the result of a test point sent by onetime(), and publishes it straight away.
+ */
+function setTestResult(result) {
+  lastTestResult = result;
+  publishStatusMetrics();
+}
+
+/**
+ * Creates a bulk telemetry post for a sink from a snapshot of the oldest telemetry data to be sent,
+ * limited to the bulk_max_entries and bulk_max_bytes settings. At least one
+ * entry is always included so that the queue keeps moving.
+ * @param {Object} sink - The sink to create the post for.
+ * @returns {Object} The request (`url`, `headers` and `post`) and the queued `entries` it sends,
+ *                   which are not affected by later changes to the queue.
+ */
+function createBulkPost(sink) {
+  var queue = sink.state.queue;
+  var entries = [];
+  var formatted = [];
+  // The envelope, i.e. the JSON of the post without any telemetry
+  var bytes = sink.createPost([]).post.length;
+
+  for (var i = 0; i < queue.length && entries.length < settings.bulk_max_entries; i++) {
+    var entry = sink.formatEntry(applyFieldSettings(queue[i]));
+    var entryBytes = JSON.stringify(entry).length + (entries.length ? 1 : 0); // Comma separator
+    if (entries.length && bytes + entryBytes > settings.bulk_max_bytes) {
+      break;
+    }
+    entries.push(queue[i]);
+    formatted.push(entry);
+    bytes += entryBytes;
+  }
+
+  var bulkPost = sink.createPost(formatted);
+  bulkPost.entries = entries;
+  return bulkPost;
+}
+
+/**
+ * Sends queued telemetry data to a sink, e.g. the ABRP (A Better Routeplanner) API.
+ *
+ * Only one request is in flight at a time. Network errors, timeouts, 5xx and 429
+ * responses are retried with exponential backoff. A 401 or 403 response pauses sending
+ * until the credentials are changed, and any other 4xx response drops the rejected batch
+ * as resending the same data cannot succeed. A queue too large for one request is sent
+ * in consecutive chunks.
+ *
+ * @param {Object} sink - The sink to send to.
+ */
+function sendBulkTelemetry(sink) {
+  var state = sink.state;
+  if (!state.isQueueLoaded || state.queue.length === 0) {
+    // Logger.debug('Processing queue. No data to send.');
+    return;
+  }
+
+  if (state.isSendInFlight) {
+    if (monotonicTime() - state.sendStartedAt < 3 * SEND_TIMEOUT / 1000) {
+      Logger.debug('Previous ' + sink.label + ' bulk telemetry request still in flight');
+      return;
+    }
+    // The HTTP layer should always complete a request, but never stop sending if it does not
+    Logger.warn('Previous ' + sink.label + ' bulk telemetry request never completed');
+    state.isSendInFlight = false;
+  }
+
+  if (isSinkPaused(sink) || monotonicTime() < state.nextSendAttempt) {
+    return;
+  }
+
+  Logger.debug('Sending bulk telemetry to ' + sink.label);
+  var bulkPost = createBulkPost(sink);
+  var sentTelemetry = bulkPost.entries;
+  var isPartial = sentTelemetry.length < state.queue.length;
+  var credentials = sink.credentials();
+
+  state.isSendInFlight = true;
+  state.sendStartedAt = monotonicTime();
+  state.lastSendAttempt = state.sendStartedAt;
+
+  // Records the outcome of the request for diagnostics and the data budget
+  function completed(status, response) {
+    state.isSendInFlight = false;
+    state.lastStatus = status;
+    state.requestCount++;
+    state.totalLatency += monotonicTime() - state.sendStartedAt;
+    countDataUsage(requestDataUsage(bulkPost, response));
+  }
+
+  // Perform the HTTP request
+  HTTP.Request({
+    url: bulkPost.url,
+    headers: bulkPost.headers,
+    post: bulkPost.post,
+    timeout: SEND_TIMEOUT,  // 8 second timeout - Should complete within ticker.10
+    done: function (response) {
+      var statusCode = response.statusCode;
+      completed(statusCode, response);
+      if (statusCode >= 200 && statusCode < 300) {
+        Logger.debug(sink.label + ' telemetry bulk data sent successfully. Removing from queue.');
+        sentTelemetry.forEach(function(entry) {
+          Logger.debug('Sent: ' + JSON.stringify(entry));
+        });
+        // Remove the successfully sent telemetry
+        removeTelemetry(sink, sentTelemetry);
+        recordSendSuccess(sink);
+        notifyDeliveryRecovered(sink);
+        state.lastSuccessUtc = currentUtc();
+        state.pointsSent += sentTelemetry.length;
+        if (isPartial) {
+          // Work through a backlog without waiting for the next ticker.10
+          sendBulkTelemetry(sink);
+        }
+      } else if (statusCode === 401 || statusCode === 403) {
+        state.rejectedCredentials = credentials;
+        Logger.error(sink.label + ' rejected the ' + sink.credentialsLabel + ' (HTTP ' + statusCode + '). Sending paused until it is changed');
+        notifyDeliveryProblem(sink, 'rejected', sink.label + ' rejected the ' + sink.credentialsLabel + ' (HTTP ' +
+          statusCode + '). Live data is paused until it is changed');
+      } else if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429) {
+        Logger.error(sink.label + ' rejected the telemetry (HTTP ' + statusCode + '). Dropping ' + sentTelemetry.length + ' entries', response);
+        removeTelemetry(sink, sentTelemetry);
+        recordSendSuccess(sink);
+        state.pointsDropped += sentTelemetry.length;
+      } else {
+        recordSendFailure(sink, 'Non-200 response from ' + sink.label + ' (HTTP ' + statusCode + ')', response);
+      }
+    },
+    fail: function (error) {
+      completed(String(error));
+      recordSendFailure(sink, sink.label + ' error', error);
+    },
+  });
+}
+
+/**
+ * Sends queued telemetry to every enabled sink that is due according to its interval,
+ * compacts the queue files that are due, and publishes the status metrics. Runs on ticker.10.
+ */
+function sendAllTelemetry() {
+  sinks.forEach(function(sink) {
+    // Allow for the ticker firing slightly early
+    var isDue = monotonicTime() - sink.state.lastSendAttempt >= sink.interval() - 1;
+    if (sink.isEnabled() && isDue) {
+      sendBulkTelemetry(sink);
+    }
+    compactTelemetryQueue(sink);
+  });
+  publishStatusMetrics();
+}
+
+// Record Logs
+
+/**
+ * Creates a log of completed records.
+ *
+ * @param {string} label - What is recorded, for logs.
+ * @param {string} fileSetting - The settingsMap key of the file the log is persisted to.
+ * @param {number} [maxRecords] - The number of most recent records kept, MAX_LOG_RECORDS by default.
+ */
+function createRecordLog(label, fileSetting, maxRecords) {
+  return {
+    label: label,
+    fileSetting: fileSetting,
+    maxRecords: maxRecords || MAX_LOG_RECORDS,
+    records: [],
+    isLoaded: false,
+  };
+}
+
+/**
+ * Rewrites the file of a record log from its in-memory records.
+ */
+function saveRecordLog(log) {
+  if (!log.isLoaded) {
+    return;
+  }
+  VFS.Save({
+    path: settings[log.fileSetting],
+    data: serializeJsonLines(log.records),
+    fail: function(error) {
+      Logger.error('Failed to save ' + log.label + ' log', error);
+    },
+  });
+}
+
+/**
+ * Adds a completed record to a log, keeping the most recent maxRecords.
+ * The record is appended to the file, which is only rewritten when records are dropped.
+ */
+function addRecord(log, record) {
+  log.records.push(record);
+  if (!log.isLoaded) {
+    return; // Saved with the stored records once loaded
+  }
+  if (log.records.length > log.maxRecords) {
+    log.records.splice(0, log.records.length - log.maxRecords);
+    saveRecordLog(log);
+    return;
+  }
+  VFS.Save({
+    path: settings[log.fileSetting],
+    data: serializeJsonLines([record]),
+    append: true,
+    fail: function(error) {
+      Logger.error('Failed to save ' + log.label + ' log', error);
+    },
+  });
+}
+
+/**
+ * Restores a record log from its file on startup. Stored records are older than
+ * anything recorded while loading, so they are placed first.
+ */
+function loadRecordLog(log) {
+  function loaded(stored) {
+    var isChanged = stored.length > log.maxRecords || log.records.length > 0;
+    log.records = stored.concat(log.records).slice(-log.maxRecords);
+    log.isLoaded = true;
+    if (isChanged) {
+      saveRecordLog(log);
+    }
+  }
+
+  VFS.Load({
+    path: settings[log.fileSetting],
+    done: function(data) {
+      loaded(parseJsonLines(data));
+    },
+    fail: function(error) {
+      Logger.debug('No stored ' + log.label + ' log', error);
+      loaded([]);
+    },
+  });
+}
+
+/**
+ * Returns the most recent records of a log, newest first.
+ */
+function recentRecords(log, count) {
+  return log.records.slice(-(count || 5)).reverse();
+}
+
+// Trip Recorder
+
+/**
+ * Starts recording a trip when the vehicle is switched on.
+ */
+function startTrip() {
+  if (currentTrip) {
+    return;
+  }
+  currentTrip = {
+    start_utc: currentUtc(),
+    start_lat: metricValue('v.p.latitude'),
+    start_lon: metricValue('v.p.longitude'),
+    start_odometer: metricValue('v.p.odometer'),
+    start_soc: metricValue('v.b.soc'),
+    energy_used: 0,
+    max_speed: 0,
+    min_ext_temp: null,
+    max_ext_temp: null,
+    startTime: monotonicTime(),
+    lastSampleTime: monotonicTime(),
+  };
+  subscribe('trip', 'ticker.1', sampleTrip);
+  Logger.debug('Trip started');
+}
+
+/**
+ * Updates the running totals of the current trip. Runs on ticker.1.
+ * Energy is integrated from the battery power, so regeneration is subtracted.
+ */
+function sampleTrip() {
+  var now = monotonicTime();
+  var elapsed = now - currentTrip.lastSampleTime;
+  currentTrip.lastSampleTime = now;
+
+  var power = metricValue('v.b.power');
+  if (power !== null) {
+    currentTrip.energy_used += power * elapsed / 3600;
+  }
+  var speed = metricValue('v.p.speed');
+  if (speed !== null) {
+    currentTrip.max_speed = Math.max(currentTrip.max_speed, speed);
+  }
+  var temperature = metricValue('v.e.temp');
+  if (temperature !== null) {
+    currentTrip.min_ext_temp = currentTrip.min_ext_temp === null ? temperature : Math.min(currentTrip.min_ext_temp, temperature);
+    currentTrip.max_ext_temp = currentTrip.max_ext_temp === null ? temperature : Math.max(currentTrip.max_ext_temp, temperature);
+  }
+  sampleConsumption(elapsed);
+}
+
+/**
+ * Completes the current trip when the vehicle is switched off and adds it to the trip log.
+ */
+function finishTrip() {
+  if (!currentTrip) {
+    return;
+  }
+  unsubscribe('trip');
+  sampleTrip();
+  var trip = currentTrip;
+  currentTrip = null;
+  finishConsumptionSegment();
+  saveConsumptionModel();
+
+  var endOdometer = metricValue('v.p.odometer');
+  var distance = trip.start_odometer !== null && endOdometer !== null ? endOdometer - trip.start_odometer : null;
+  if (distance === null || distance < MIN_TRIP_DISTANCE) {
+    Logger.debug('Trip not recorded, distance: ' + distance);
+    return;
+  }
+
+  var endUtc = currentUtc();
+  var endSoc = metricValue('v.b.soc');
+  var hours = (endUtc - trip.start_utc) / 3600;
+  var record = {
+    start_utc: trip.start_utc,
+    end_utc: endUtc,
+    start_lat: trip.start_lat,
+    start_lon: trip.start_lon,
+    end_lat: metricValue('v.p.latitude'),
+    end_lon: metricValue('v.p.longitude'),
+    distance: round(distance, 1),
+    start_soc: trip.start_soc,
+    end_soc: endSoc,
+    soc_used: trip.start_soc !== null && endSoc !== null ? round(trip.start_soc - endSoc, 1) : null,
+    energy_used: round(trip.energy_used, 2),
+    avg_speed: hours > 0 ? round(distance / hours, 1) : null,
+    max_speed: trip.max_speed,
+    consumption: round(trip.energy_used * 1000 / distance),
+    min_ext_temp: trip.min_ext_temp,
+    max_ext_temp: trip.max_ext_temp,
+  };
+  addRecord(tripLog, record);
+  Logger.info('Trip recorded: ' + record.distance + ' km, ' + record.consumption + ' Wh/km');
+}
+
+// Consumption Model
+
+/**
+ * Returns the label of the band a value falls in, e.g. '100-120', or '-' for no value.
+ *
+ * @param {Array} limits - The upper limits of the bands, see consumptionBands.
+ */
+function bandLabel(limits, value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  for (var i = 0; i < limits.length; i++) {
+    if (value < limits[i]) {
+      return i === 0 ? '<' + limits[0] : limits[i - 1] + '-' + limits[i];
+    }
+  }
+  return limits[limits.length - 1] + '+';
+}
+
+/**
+ * Returns the order of a band label, for sorting.
+ */
+function bandOrder(limits, label) {
+  if (label === '-') {
+    return -1;
+  }
+  return label.charAt(0) === '<' ? 0 : limits.indexOf(parseFloat(label)) + 1;
+}
+
+/**
+ * Adds the current driving to the consumption segment, using the speed, power, ext_temp
+ * and elevation telemetry. Runs with the trip recorder. A segment ends after
+ * CONSUMPTION_SEGMENT seconds, or earlier when the vehicle stops.
+ *
+ * @param {number} elapsed - The time (s) since the previous sample.
+ */
+function sampleConsumption(elapsed) {
+  var speed = getOVMSMetric('speed')[1];
+  var power = getOVMSMetric('power')[1];
+  if (speed === null || power === null || speed <= 0) {
+    finishConsumptionSegment();
+    return;
+  }
+
+  if (!consumptionSegment) {
+    consumptionSegment = {
+      duration: 0,
+      distance: 0,
+      energy: 0,
+      temperatureSum: 0,
+      temperatureCount: 0,
+      startElevation: getOVMSMetric('elevation')[1],
+    };
+    return; // Measure from this sample on
+  }
+  var segment = consumptionSegment;
+  segment.duration += elapsed;
+  segment.distance += speed * elapsed / 3600;
+  segment.energy += power * elapsed / 3600;
+  var temperature = getOVMSMetric('ext_temp')[1];
+  if (temperature !== null) {
+    segment.temperatureSum += temperature;
+    segment.temperatureCount++;
+  }
+
+  if (segment.duration >= CONSUMPTION_SEGMENT) {
+    finishConsumptionSegment();
+  }
+}
+
+/**
+ * Adds the current consumption segment to its bucket of the consumption model.
+ * Each bucket averages over the most recent CONSUMPTION_WINDOW km, so the model follows
+ * changes such as new tires.
+ */
+function finishConsumptionSegment() {
+  var segment = consumptionSegment;
+  consumptionSegment = null;
+  if (!segment || segment.duration < CONSUMPTION_MIN_SEGMENT || segment.distance <= 0) {
+    return;
+  }
+
+  var endElevation = getOVMSMetric('elevation')[1];
+  var grade = segment.startElevation !== null && endElevation !== null ?
+    (endElevation - segment.startElevation) / (segment.distance * 1000) : 0;
+  var bucket = {
+    speed: bandLabel(consumptionBands.speed, segment.distance / (segment.duration / 3600)),
+    ext_temp: bandLabel(consumptionBands.ext_temp,
+      segment.temperatureCount ? segment.temperatureSum / segment.temperatureCount : null),
+    road: grade > CONSUMPTION_GRADE ? 'climb' : grade < -CONSUMPTION_GRADE ? 'descent' : 'flat',
+    energy: 0,
+    distance: 0,
+  };
+  var key = bucket.speed + '|' + bucket.ext_temp + '|' + bucket.road;
+  bucket = consumptionModel.buckets[key] = consumptionModel.buckets[key] || bucket;
+
+  bucket.energy += segment.energy;
+  bucket.distance += segment.distance;
+  if (bucket.distance > CONSUMPTION_WINDOW) {
+    var scale = CONSUMPTION_WINDOW / bucket.distance;
+    bucket.energy *= scale;
+    bucket.distance *= scale;
+  }
+}
+
+/**
+ * Persists the consumption model to the consumption_file setting.
+ */
+function saveConsumptionModel() {
+  if (!isConsumptionModelLoaded) {
+    return;
+  }
+  VFS.Save({
+    path: settings.consumption_file,
+    data: JSON.stringify(consumptionModel),
+    fail: function(error) {
+      Logger.error('Failed to save consumption model', error);
+    },
+  });
+}
+
+/**
+ * Restores the consumption model from the consumption_file setting on startup, adding
+ * anything measured while loading.
+ */
+function loadConsumptionModel() {
+  function loaded(stored) {
+    Object.keys(consumptionModel.buckets).forEach(function(key) {
+      var bucket = consumptionModel.buckets[key];
+      var storedBucket = stored.buckets[key];
+      if (storedBucket) {
+        storedBucket.energy += bucket.energy;
+        storedBucket.distance += bucket.distance;
+      } else {
+        stored.buckets[key] = bucket;
+      }
+    });
+    consumptionModel = stored;
+    isConsumptionModelLoaded = true;
+  }
+
+  VFS.Load({
+    path: settings.consumption_file,
+    done: function(data) {
+      try {
+        var stored = JSON.parse(data);
+        loaded(stored && stored.buckets ? stored : { buckets: {} });
+      } catch (e) {
+        Logger.warn('Ignoring unreadable consumption model');
+        loaded({ buckets: {} });
+      }
+    },
+    fail: function(error) {
+      Logger.debug('No stored consumption model', error);
+      loaded({ buckets: {} });
+    },
+  });
+}
+
+// Charging Session Recorder
+
+/**
+ * Starts recording a charging session when charging starts.
+ */
+function startChargeSession() {
+  if (currentChargeSession) {
+    return;
+  }
+  currentChargeSession = {
+    start_utc: currentUtc(),
+    start_soc: metricValue('v.b.soc'),
+    start_batt_temp: metricValue('v.b.temp'),
+    energy_added: 0,
+    peak_power: 0,
+    is_dcfc: false,
+    curve: {},
+    startTime: monotonicTime(),
+    lastSampleTime: monotonicTime(),
+  };
+  subscribe('charge', 'ticker.1', sampleChargeSession);
+  Logger.debug('Charging session started');
+}
+
+/**
+ * Updates the running totals of the current charging session. Runs on ticker.1.
+ * The battery power is negative while charging.
+ */
+function sampleChargeSession() {
+  var now = monotonicTime();
+  var elapsed = now - currentChargeSession.lastSampleTime;
+  currentChargeSession.lastSampleTime = now;
+
+  var power = metricValue('v.b.power');
+  if (power !== null) {
+    currentChargeSession.energy_added -= power * elapsed / 3600;
+    currentChargeSession.peak_power = Math.max(currentChargeSession.peak_power, -power);
+  }
+  if (getOVMSMetric('is_dcfc')[1]) {
+    currentChargeSession.is_dcfc = true;
+    sampleChargeCurve(currentChargeSession.curve);
+  }
+}
+
+/**
+ * Completes the current charging session when charging stops and adds it to the charge log.
+ */
+function finishChargeSession() {
+  if (!currentChargeSession) {
+    return;
+  }
+  unsubscribe('charge');
+  sampleChargeSession();
+  var session = currentChargeSession;
+  currentChargeSession = null;
+
+  var endUtc = currentUtc();
+  var hours = (endUtc - session.start_utc) / 3600;
+  var record = {
+    start_utc: session.start_utc,
+    end_utc: endUtc,
+    lat: metricValue('v.p.latitude'),
+    lon: metricValue('v.p.longitude'),
+    start_soc: session.start_soc,
+    end_soc: metricValue('v.b.soc'),
+    energy_added: round(session.energy_added, 2),
+    peak_power: round(session.peak_power, 1),
+    avg_power: hours > 0 ? round(session.energy_added / hours, 1) : null,
+    is_dcfc: session.is_dcfc,
+    charge_type: OvmsMetrics.HasValue('v.c.type') ? OvmsMetrics.Value('v.c.type') : null,
+    start_batt_temp: session.start_batt_temp,
+    end_batt_temp: metricValue('v.b.temp'),
+  };
+  addRecord(chargeLog, record);
+  Logger.info('Charging session recorded: ' + record.energy_added + ' kWh, peak ' + record.peak_power + ' kW');
+
+  var points = createChargeCurvePoints(session.curve);
+  if (points.length) {
+    addRecord(curveLog, {
+      start_utc: session.start_utc,
+      vehicle_id: OvmsConfig.Get('vehicle', 'id', null),
+      vehicle_type: OvmsMetrics.HasValue('v.type') ? OvmsMetrics.Value('v.type') : null,
+      points: points,
+    });
+  }
+}
+
+// DC Charge Curves
+
+/**
+ * Adds the current chargeCurveMetrics values to the bin of the current SOC percent.
+ *
+ * @param {Object} curve - The bins of the session so far, keyed by SOC percent.
+ */
+function sampleChargeCurve(curve) {
+  var soc = metricValue('v.b.soc');
+  if (soc === null) {
+    return;
+  }
+  var percent = Math.floor(soc);
+  var bin = curve[percent] = curve[percent] || { sums: {}, counts: {} };
+  chargeCurveMetrics.forEach(function(entry) {
+    var value = metricValue(entry.metric);
+    if (value !== null) {
+      bin.sums[entry.key] = (bin.sums[entry.key] || 0) + entry.sign * value;
+      bin.counts[entry.key] = (bin.counts[entry.key] || 0) + 1;
+    }
+  });
+}
+
+/**
+ * Averages the bins of a charge curve into points ordered by SOC.
+ *
+ * @returns {Array} - Points with the SOC percent and the average of each sampled metric.
+ */
+function createChargeCurvePoints(curve) {
+  return Object.keys(curve).map(Number).sort(function(a, b) {
+    return a - b;
+  }).map(function(percent) {
+    var bin = curve[percent];
+    var point = { soc: percent };
+    Object.keys(bin.sums).forEach(function(key) {
+      point[key] = round(bin.sums[key] / bin.counts[key], 1);
+    });
+    return point;
+  });
+}
+
+/**
+ * Averages the power of earlier charge curves of the same vehicle for each SOC percent.
+ *
+ * @param {Object} curve - The charge curve to compare.
+ * @returns {Object} - The average power keyed by SOC percent.
+ */
+function averageEarlierChargeCurves(curve) {
+  var sums = {};
+  var counts = {};
+  curveLog.records.forEach(function(earlier) {
+    if (earlier.start_utc >= curve.start_utc || earlier.vehicle_id !== curve.vehicle_id) {
+      return;
+    }
+    earlier.points.forEach(function(point) {
+      if (point.power !== undefined) {
+        sums[point.soc] = (sums[point.soc] || 0) + point.power;
+        counts[point.soc] = (counts[point.soc] || 0) + 1;
+      }
+    });
+  });
+  var averages = {};
+  Object.keys(sums).forEach(function(percent) {
+    averages[percent] = round(sums[percent] / counts[percent], 1);
+  });
+  return averages;
+}
+
+// Metric Recorder
+
+/**
+ * recordedStateMetrics lists the OVMS metrics recorded besides those of metricMap, as the
+ *   vehicle state, data-quality checks, privacy zones and recorders read them directly.
+ */
+const recordedStateMetrics = ['m.time.utc', 'v.e.on', 'v.e.awake', 'v.e.hvac', 'v.c.charging', 'v.c.type',
+  'v.p.gpslock', 'v.p.satcount', 'v.p.gpshdop', 'v.p.gpstime', 'v.p.latitude', 'v.p.longitude', 'v.p.speed',
+  'v.p.odometer', 'v.b.soc', 'v.b.power', 'v.b.temp', 'v.e.temp'];
+
+/**
+ * Lists the OVMS metrics createTelemetry and the state machine read, for the current metricMap.
+ */
+function listRecordedMetrics() {
+  var names = recordedStateMetrics.slice();
+  function add(name) {
+    if (names.indexOf(name) < 0) {
+      names.push(name);
+    }
+  }
+  metricMap.forEach(function(entry) {
+    (entry.sources || [entry]).forEach(function(source) {
+      (source.requiredMetrics || []).forEach(add);
+    });
+  });
+  chargeCurveMetrics.forEach(function(entry) {
+    add(entry.metric);
+  });
+  return names;
+}
+
+/**
+ * Appends the buffered samples to the recording file.
+ */
+function flushRecorder() {
+  if (!recorder.file || recorder.lines.length === 0) {
+    return;
+  }
+  VFS.Save({
+    path: recorder.file,
+    data: recorder.lines.join('\n') + '\n',
+    append: true,
+    fail: function(error) {
+      Logger.error('Failed to save metric recording', error);
+    },
+  });
+  recorder.lines = [];
+}
+
+/**
+ * Records a snapshot of the raw OVMS metrics to the record_file setting, when set.
+ * Runs on ticker.1 while the plugin is running.
+ *
+ * The recording is JSON lines. A header line `{"version": 1, "vehicle_type": ..., "metrics": [...]}`
+ * starts each segment, e.g. after a restart or a change of vehicle profile, and is followed
+ * by one array of metric values per second in the order of the header, null if not set.
+ */
+function recordMetrics() {
+  if (settings.record_file !== recorder.file) {
+    flushRecorder();
+    recorder = { file: settings.record_file, names: null, lines: [] };
+  }
+  if (!recorder.file) {
+    return;
+  }
+  if (!recorder.names) {
+    recorder.names = listRecordedMetrics();
+    recorder.lines.push(JSON.stringify({
+      version: 1,
+      vehicle_type: OvmsMetrics.Value('v.type') || null,
+      metrics: recorder.names,
+    }));
+  }
+  var values = OvmsMetrics.GetValues(recorder.names);
+  recorder.lines.push(JSON.stringify(recorder.names.map(function(name) {
+    var value = values[name];
+    return value === undefined ? null : value;
+  })));
+  if (recorder.lines.length >= RECORD_FLUSH_SIZE) {
+    flushRecorder();
+  }
+}
+
+// Event Handlers
+
+/**
+ * Determines the state of the vehicle from its metrics. Charging takes precedence, so
+ * charging while the vehicle is switched on is a charging state.
+ *
+ * @returns {string} - The vehicleStates key.
+ */
+function determineVehicleState() {
+  if (OvmsMetrics.Value('v.c.charging')) {
+    return getOVMSMetric('is_dcfc')[1] ? 'dc_charging' : 'ac_charging';
+  }
+  if (OvmsMetrics.Value('v.e.on')) {
+    if (getOVMSMetric('is_parked')[1]) {
+      return 'parked';
+    }
+    // Hysteresis, so a speed hovering around min_calibration_speed does not flip the state
+    var threshold = settings.min_calibration_speed - (vehicleState === 'highway' ? HIGHWAY_HYSTERESIS : 0);
+    return getOVMSMetric('speed')[1] > threshold ? 'highway' : 'driving';
+  }
+  if (OvmsMetrics.Value('v.e.hvac')) {
+    return 'preconditioning';
+  }
+  return OvmsMetrics.Value('v.e.awake') ? 'parked' : 'off';
+}
+
+/**
+ * Moves the state machine to a new state, logging the transition, raising it as a
+ * notification if the state_notifications setting is on, and queueing telemetry of the
+ * new state straight away. A change between moving states, e.g. driving to highway, does
+ * not queue telemetry, as driving already polls it.
+ *
+ * @param {string} state - The vehicleStates key.
+ * @returns {boolean} - True if telemetry was queued for the new state.
+ */
+function setVehicleState(state) {
+  if (state === vehicleState) {
+    return false;
+  }
+  var message = 'Vehicle state ' + vehicleStates[vehicleState].label + ' -> ' + vehicleStates[state].label;
+  var isStillMoving = vehicleStates[vehicleState].isMoving && vehicleStates[state].isMoving;
+  Logger.info(message);
+  if (settings.state_notifications) {
+    OvmsNotify.Raise('info', 'usr.abrp.state', 'ABRP::' + message);
+  }
+  vehicleState = state;
+  if (isStillMoving) {
+    return false; // Driving continues on its own poll interval
+  }
+  queueTelemetryManual();
+  if (state === 'off') {
+    collectedMetrics = []; // Session is complete. Clear collectedMetrics.
+  }
+  return true;
+}
+
+/**
+ * Updates the vehicle state and queues telemetry as its poll interval requires.
+ * Runs on ticker.1 and on the vehicle on/off and charge start/stop events.
+ */
+function updateVehicleState() {
+  if (setVehicleState(determineVehicleState())) {
+    return; // Telemetry was just queued
+  }
+  if (vehicleStates[vehicleState].pollInterval() !== null) {
+    queueTelemetryIfNecessary();
+  }
+}
+
+/**
+ * Manages subscribing or unsubscribing to vehicle state events based on the provided parameter.
+ *
+ * If subscribing, it registers callbacks for various vehicle state events and determines the
+ * current state of the vehicle. If unsubscribing, it releases the telemetry subscriptions and
+ * moves the state machine to off. See `start` and `stop`.
+ *
+ * @param {boolean} shouldSubscribe - If true, subscribes to vehicle state events; if false, unsubscribes.
+ * 
+ * @returns {void} - This function does not return a value; it modifies the subscription state for vehicle events.
+ */
+function manageVehicleStateEvents(shouldSubscribe) {
+  if (shouldSubscribe) {
+    Logger.debug('Subscribing to Vehicle State Events');
+  } else {
+    Logger.debug('Unsubscribing to Vehicle State Events');
+  }
+  
+  if (shouldSubscribe) {
+    subscribe('telemetry', 'ticker.10', sendAllTelemetry);
+    subscribe('telemetry', 'ticker.1', recordMetrics);
+    subscribe('telemetry', 'ticker.1', updateVehicleState);
+    subscribe('telemetry', 'vehicle.on', updateVehicleState);
+    subscribe('telemetry', 'vehicle.charge.start', updateVehicleState);
+    subscribe('telemetry', 'vehicle.off', updateVehicleState);
+    subscribe('telemetry', 'vehicle.charge.stop', updateVehicleState);
+    subscribe('telemetry', 'vehicle.on', startTrip);
+    subscribe('telemetry', 'vehicle.off', finishTrip);
+    subscribe('telemetry', 'vehicle.charge.start', startChargeSession);
+    subscribe('telemetry', 'vehicle.charge.stop', finishChargeSession);
+
+    updateVehicleState();
+    if (OvmsMetrics.Value('v.e.on')) {
+      // Vehicle is already running
+      startTrip();
+    }
+    if (OvmsMetrics.Value('v.c.charging')) {
+      startChargeSession();
+    }
+  
+  } else {
+    unsubscribe('telemetry');
+    flushRecorder();
+    recorder.names = null; // A new segment when restarted
+    setVehicleState('off');
+    finishTrip();
+    finishChargeSession();
+  }
+}
+
+/**
+ * timeSources lists where a valid UTC time can come from, in order of preference.
+ * OVMS sets the system time (m.time.utc) from GPS, the modem network time or NTP,
+ * whichever it has. The GPS time is also used directly, as it can be valid before
+ * the system time is set.
+ */
+const timeSources = [
+  { name: 'system', utc: function() { return OvmsMetrics.Value('m.time.utc'); } },
+  { name: 'GPS', utc: function() { return metricValue('v.p.gpstime'); } },
+];
+
+/**
+ * Finds the first time source with a valid time.
+ *
+ * @returns {Object|null} - The timeSources entry, or null while no time is valid.
+ */
+function findValidTimeSource() {
+  for (var i = 0; i < timeSources.length; i++) {
+    if (timeSources[i].utc() > MIN_VALID_TIME) {
+      return timeSources[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the current UTC time: the system time once it is set, otherwise the time of
+ * another source carried forward on the monotonic clock. Before any time is valid, the
+ * invalid system time is returned.
+ */
+function currentUtc() {
+  var utc = OvmsMetrics.Value('m.time.utc');
+  if (utc > MIN_VALID_TIME || timeOffset === null) {
+    return utc;
+  }
+  return Math.round(monotonicTime() + timeOffset);
+}
+
+/**
+ * Buffers telemetry collected while the time is invalid, with the monotonic time it
+ * was collected at. The buffer is limited to max_queue_size, dropping the oldest.
+ */
+function bufferUnanchoredTelemetry(telemetry) {
+  unanchoredTelemetry.push({ time: monotonicTime(), telemetry: telemetry });
+  if (unanchoredTelemetry.length > settings.max_queue_size) {
+    unanchoredTelemetry.shift();
+  }
+  Logger.debug('Time is invalid, telemetry buffered:', unanchoredTelemetry.length);
+}
+
+/**
+ * Rewrites the timestamps of the telemetry buffered while the time was invalid to UTC,
+ * counting back from the current time on the monotonic clock, and queues it in order.
+ * Telemetry that would not be after the newest telemetry already queued, e.g. from
+ * before a reboot, cannot be placed reliably and is discarded. Trips and charging
+ * sessions started while the time was invalid get their start time fixed the same way.
+ *
+ * @param {number} utc - The current UTC time.
+ */
+function anchorUnanchoredTelemetry(utc) {
+  var now = monotonicTime();
+  function anchor(time) {
+    return Math.round(utc - (now - time));
+  }
+
+  var newestUtc = MIN_VALID_TIME;
+  sinks.forEach(function(sink) {
+    sink.state.queue.forEach(function(telemetry) {
+      newestUtc = Math.max(newestUtc, telemetry.utc);
+    });
+  });
+
+  var discarded = 0;
+  unanchoredTelemetry.forEach(function(entry) {
+    var telemetry = entry.telemetry;
+    telemetry.utc = anchor(entry.time);
+    if (telemetry.utc <= newestUtc) {
+      discarded++;
+      return;
+    }
+    newestUtc = telemetry.utc;
+    lastQueuedTelemetry = clone(telemetry);
+    addToSinkQueues(telemetry);
+  });
+  Logger.info('Buffered telemetry queued: ' + (unanchoredTelemetry.length - discarded) +
+    ', discarded: ' + discarded);
+  unanchoredTelemetry = [];
+
+  [currentTrip, currentChargeSession].forEach(function(record) {
+    if (record && !(record.start_utc > MIN_VALID_TIME)) {
+      record.start_utc = anchor(record.startTime);
+    }
+  });
+}
+
+/**
+ * Checks the time until a time source is valid, while sending is started. Telemetry
+ * collected until then is buffered and queued with UTC timestamps once the time is valid.
+ */
+function checkTime() {
+  var source = findValidTimeSource();
+  if (!source) {
+    Logger.debug('Invalid time, buffering telemetry.');
+    return;
+  }
+  unsubscribe('clock');
+  var utc = source.utc();
+  timeOffset = utc - monotonicTime();
+  isTimeValid = true;
+  Logger.debug(source.name + ' time is valid');
+  if (unanchoredTelemetry.length) {
+    anchorUnanchoredTelemetry(utc);
+  }
+  if (lifecycleState === 'waiting_for_time') {
+    setLifecycleState('running');
+  }
+}
+
+// Lifecycle
+
+/**
+ * lifecycleStates defines the states of the plugin itself, as opposed to those of the vehicle.
+ *
+ * Each state contains the following properties:
+ * - label: A descriptive name for the state to be displayed in UI or logs.
+ * - isStarted: (Optional) True while telemetry is collected and sent.
+ */
+const lifecycleStates = {
+  // Loading the settings, queues and logs, until the first tick
+  initialising: { label: 'Initialising' },
+  // Telemetry is buffered until a time source is valid, see checkTime
+  waiting_for_time: { label: 'Waiting for a valid time', isStarted: true },
+  running: { label: 'Running', isStarted: true },
+  stopped: { label: 'Stopped' },
+};
+
+/**
+ * Moves the plugin to a new lifecycle state, logging the transition.
+ *
+ * @param {string} state - The lifecycleStates key.
+ */
+function setLifecycleState(state) {
+  Logger.debug('Lifecycle ' + lifecycleStates[lifecycleState].label + ' -> ' + lifecycleStates[state].label);
+  lifecycleState = state;
+}
+
+/**
+ * Checks whether telemetry is being collected and sent.
+ */
+function isStarted() {
+  return !!lifecycleStates[lifecycleState].isStarted;
+}
+
+/**
+ * Loads the settings and the vehicle profile, and applies changes to either live until stopped.
+ */
+function watchConfig() {
+  loadSettings();
+  subscribe('config', 'config.changed', loadSettings);
+  applyVehicleProfile();
+  subscribe('config', 'vehicle.type.set', applyVehicleProfile);
+}
+
+/**
+ * Starts sending on the first tick, once the stored queues have loaded, unless sending was
+ * started or stopped before.
+ */
+function startup() {
+  unsubscribe('startup');
+  if (lifecycleState === 'initialising') {
+    start();
+  }
+}
+
+/**
+ * Starts collecting and sending telemetry, with the current settings, reloading them and the
+ * vehicle profile if they were released by stopping. Does nothing but warn if already started,
+ * and stops if there is nowhere to send to.
+ */
+function start() {
+  if (isStarted()) {
+    Logger.warn('Already running!');
+    return;
+  }
+  unsubscribe('startup');
+  if (!subscriptions.config) {
+    watchConfig();
+  }
+  if (!isAnySinkEnabled() && !validateUsrAbrpConfig()) {
+    unsubscribeAll();
+    setLifecycleState('stopped');
+    publishStatusMetrics();
+    return;
+  }
+
+  Logger.info('Start sending data...');
+  setLifecycleState(isTimeValid ? 'running' : 'waiting_for_time');
+  if (!isTimeValid) {
+    subscribe('clock', 'ticker.1', checkTime);
+    checkTime();
+  }
+  manageVehicleStateEvents(true);
+  publishStatusMetrics();
+}
+
+/**
+ * Stops collecting telemetry, completing the current trip and charging session, and releases
+ * every subscription, including those of the config, which start reloads. The queues are sent one last time, ignoring any backoff, and the data usage is saved. Does
+ * nothing but warn if already stopped.
+ */
+function stop() {
+  if (lifecycleState === 'stopped') {
+    Logger.warn('Already stopped!');
+    return;
+  }
+  Logger.info('Stop sending data');
+  if (isStarted()) {
+    manageVehicleStateEvents(false);
+  }
+  unsubscribeAll();
+  setLifecycleState('stopped');
+  sinks.forEach(function(sink) {
+    if (sink.isEnabled()) {
+      sink.state.nextSendAttempt = 0;
+      sendBulkTelemetry(sink);
+    }
+  });
+  saveDataUsage();
+  publishStatusMetrics();
+}
+
+/**
+ * Stops, unless already stopped, and starts again, e.g. to recover from a problem without
+ * reloading the JS engine.
+ */
+function restart() {
+  if (lifecycleState !== 'stopped') {
+    stop();
+  }
+  start();
+}
+
+/**
+ * Releases every subscription and the shell commands without stopping cleanly, when this
+ * copy of the plugin is replaced by another loaded later. Its files are left to the new copy.
+ */
+function release() {
+  unsubscribeAll();
+  unregisterShellCommands();
+  lifecycleState = 'stopped';
+}
+
+// Core Control Functions
+
+/**
+ * Logs telemetry data to the console, showing for each field whether it is sent,
+ * suppressed or unsupported, and why.
+ */
+function info() {
+  var zoneName = findCurrentPrivacyZone();
+  var telemetry = previewTelemetry();
+  var sent = telemetry ? applyFieldSettings(telemetry) : {};
+
+  // Helper function for formatting output
+  function logTelemetry(item) {
+    var unit = item.unit || '';  // Default to empty string if unit is not provided
+    var key = item.key;
+    if (key in sent) {
+      Logger.log(item.label + ': ' + sent[key] + ' ' + unit);
+    } else if (!telemetry) {
+      Logger.log(item.label + ': suppressed, inside privacy zone ' + zoneName);
+    } else if (findFieldSuppression(key)) {
+      Logger.log(item.label + ': suppressed, ' + findFieldSuppression(key));
+    } else if (zoneName && positionFields.indexOf(key) >= 0) {
+      Logger.log(item.label + ': suppressed, inside privacy zone ' + zoneName);
+    } else {
+      Logger.log(item.label + ': unsupported, ' + describeUnsupportedMetric(item, telemetry));
+    }
+  }
 
   // Display plugin version
   Logger.log('Plugin Version: ' + VERSION);
+  Logger.log('Vehicle Profile: ' + (vehicleProfile ? vehicleProfile.name : 'Generic'));
+  Logger.log('Vehicle State: ' + vehicleStates[vehicleState].label);
+  Object.keys(dataQualityRejections).forEach(function(reason) {
+    var counts = dataQualityRejections[reason];
+    Logger.log('Rejected (' + reason + '): ' + Object.keys(counts).map(function(key) {
+      return key + ' ' + counts[key];
+    }).join(', '));
+  });
+  sinks.forEach(function(sink) {
+    Logger.log('Sink ' + sink.label + ': ' + (sink.isEnabled() ? sink.state.queue.length + ' queued' : 'disabled'));
+  });
+  var usage = currentDataUsage();
+  Logger.log('Data Used: ' + formatMegabytes(usage.dayBytes) + ' today, ' + formatMegabytes(usage.monthBytes) +
+    ' this month' + (usage.month ? ' (since ' + usage.month + ')' : ''));
+  if (settings.data_budget) {
+    Logger.log('Data Budget: ' + formatMegabytes(Math.max(0, settings.data_budget * BYTES_PER_MB - usage.monthBytes)) +
+      ' of ' + settings.data_budget + ' MB remaining, ' + dataBudgetLevels[findDataBudgetLevel()].label);
+  } else {
+    Logger.log('Data Budget: none');
+  }
+  if (zoneName) {
+    Logger.log('Privacy Zone: ' + zoneName + ' (' + (settings.privacy_zones[zoneName].action || 'omit') + ')');
+  }
 
   // Iterate over metricMap and display values if available
-  metricMap.forEach(function(item) {
-    logTelemetry(item.key, item.label, item.unit);
+  metricMap.forEach(logTelemetry);
+}
+
+// Status and Diagnostics
+
+/**
+ * Collects the status of the plugin and of each enabled sink.
+ *
+ * @returns {Array} - The status fields, each with its `metric` name and `value`.
+ */
+function collectStatus() {
+  var items = statusFields.map(function(field) {
+    return { field: field, metric: 'usr.abrp.' + field.key, value: field.value() };
+  });
+  sinks.forEach(function(sink) {
+    if (!sink.isEnabled()) {
+      return;
+    }
+    sinkStatusFields.forEach(function(field) {
+      items.push({ field: field, sink: sink, metric: sink.metricPrefix + field.key, value: field.value(sink) });
+    });
+  });
+  return items;
+}
+
+/**
+ * Publishes the status as `usr.abrp.*` metrics, setting only the metrics that changed.
+ * User metrics are created by OVMS when first set.
+ */
+function publishStatusMetrics() {
+  collectStatus().forEach(function(item) {
+    var value = item.value === null ? '' : String(item.value);
+    if (publishedStatus[item.metric] === value) {
+      return;
+    }
+    publishedStatus[item.metric] = value;
+    OvmsCommand.Exec('metrics set ' + item.metric + ' "' + value.replace(/"/g, "'") + '"');
+  });
+}
+
+/**
+ * Logs the health of the plugin to the console, to diagnose why ABRP shows stale data,
+ * and publishes it as metrics.
+ */
+function status() {
+  collectStatus().forEach(function(item) {
+    var field = item.field;
+    var text;
+    if (item.value === null) {
+      text = 'none';
+    } else if (field.format) {
+      text = field.format(item.value, item.sink);
+    } else if (typeof item.value === 'boolean') {
+      text = item.value ? 'yes' : 'no';
+    } else {
+      text = item.value + (field.unit ? ' ' + field.unit : '');
+    }
+    Logger.log((item.sink ? item.sink.label + ' ' : '') + field.label + ': ' + text);
+  });
+  publishStatusMetrics();
+}
+
+/**
+ * Logs the settings as one line of JSON, for the web page to build its settings form from.
+ * Each setting has its definition, the configured value (empty if not set) and whether
+ * that value is rejected. The user token itself is not included.
+ */
+function describeSettings() {
+  var values = OvmsConfig.GetValues('usr', 'abrp.');
+  Logger.log(JSON.stringify({
+    has_user_token: !!values.user_token,
+    settings: settingsMap.map(function(definition) {
+      var value = values[definition.key];
+      return {
+        key: definition.key,
+        label: definition.label,
+        type: definition.type,
+        unit: definition.unit || '',
+        default: definition.type === 'list' ? definition.default.join(',') : definition.default,
+        value: value === undefined ? '' : value,
+        rejected: definition.key in rejectedSettings,
+      };
+    }),
+  }));
+}
+
+/**
+ * Logs the most recent trips to the console, newest first.
+ *
+ * @param {number} [count] - The number of trips to list, 5 by default.
+ */
+function trips(count) {
+  var recent = recentRecords(tripLog, count);
+  if (recent.length === 0) {
+    Logger.log('No trips recorded');
+    return;
+  }
+  recent.forEach(function(trip) {
+    var line = formatUtc(trip.start_utc) + ' - ' + formatUtc(trip.end_utc).substring(11) + ' UTC: ' +
+      trip.distance + ' km, ' + trip.energy_used + ' kWh, ' + trip.consumption + ' Wh/km';
+    if (trip.soc_used !== null) {
+      line += ', SOC ' + trip.start_soc + ' -> ' + trip.end_soc + ' %';
+    }
+    line += ', avg ' + trip.avg_speed + ' kph, max ' + trip.max_speed + ' kph';
+    if (trip.min_ext_temp !== null) {
+      line += ', ' + trip.min_ext_temp + ' to ' + trip.max_ext_temp + ' °C';
+    }
+    Logger.log(line);
+  });
+}
+
+/**
+ * Logs the most recent charging sessions to the console, newest first.
+ *
+ * @param {number} [count] - The number of sessions to list, 5 by default.
+ */
+function charges(count) {
+  var recent = recentRecords(chargeLog, count);
+  if (recent.length === 0) {
+    Logger.log('No charging sessions recorded');
+    return;
+  }
+  recent.forEach(function(session) {
+    var line = formatUtc(session.start_utc) + ' - ' + formatUtc(session.end_utc).substring(11) + ' UTC: ' +
+      (session.is_dcfc ? 'DC' : 'AC') + ', ' + session.energy_added + ' kWh, peak ' + session.peak_power +
+      ' kW, avg ' + session.avg_power + ' kW';
+    if (session.start_soc !== null && session.end_soc !== null) {
+      line += ', SOC ' + session.start_soc + ' -> ' + session.end_soc + ' %';
+    }
+    if (session.lat !== null && session.lon !== null) {
+      line += ', at ' + round(session.lat, 5) + ', ' + round(session.lon, 5);
+    }
+    Logger.log(line);
+  });
+}
+
+/**
+ * Logs a DC charge curve as a table of SOC against power, current, voltage and battery
+ * temperature, compared with the average power of earlier sessions of the same vehicle.
+ * Points more than 20% below the earlier average are flagged, e.g. a cold battery.
+ *
+ * @param {number} [index] - Which curve to show, 1 (the default) being the most recent.
+ */
+function chargeCurve(index) {
+  var curve = recentRecords(curveLog, index || 1)[(index || 1) - 1];
+  if (!curve) {
+    Logger.log('No DC charge curve recorded');
+    return;
+  }
+
+  var earlier = averageEarlierChargeCurves(curve);
+  var slowPoints = 0;
+  Logger.log('DC charge curve ' + formatUtc(curve.start_utc) + ' UTC');
+  Logger.log(padStart('SOC %', 5) + chargeCurveMetrics.map(function(entry) {
+    return padStart(entry.label, 8);
+  }).join('') + padStart('Earlier kW', 12));
+
+  curve.points.forEach(function(point) {
+    var line = padStart(point.soc, 5) + chargeCurveMetrics.map(function(entry) {
+      return padStart(point[entry.key], 8);
+    }).join('');
+    var average = earlier[point.soc];
+    if (average !== undefined) {
+      line += padStart(average, 12);
+      if (point.power !== undefined && average > 0) {
+        line += ' ' + (point.power >= average ? '+' : '') + Math.round((point.power / average - 1) * 100) + '%';
+        if (point.power < average * CHARGE_CURVE_SLOW) {
+          line += ' slow';
+          slowPoints++;
+        }
+      }
+    }
+    Logger.log(line);
+  });
+
+  if (slowPoints) {
+    var temperatures = curve.points.map(function(point) {
+      return point.batt_temp;
+    }).filter(function(temperature) {
+      return temperature !== undefined;
+    });
+    Logger.log(slowPoints + ' SOC points charged slower than earlier sessions' + (temperatures.length ?
+      ', battery ' + Math.min.apply(null, temperatures) + ' to ' + Math.max.apply(null, temperatures) + ' °C' : ''));
+  }
+}
+
+/**
+ * Logs the consumption model as a table of Wh/km by speed band, outside temperature band
+ * and road grade, followed by the flat road consumption at the ABRP reference speed.
+ */
+function consumption() {
+  var keys = Object.keys(consumptionModel.buckets);
+  if (keys.length === 0) {
+    Logger.log('No consumption measured');
+    return;
+  }
+  var buckets = keys.map(function(key) {
+    return consumptionModel.buckets[key];
+  }).sort(function(a, b) {
+    return bandOrder(consumptionBands.speed, a.speed) - bandOrder(consumptionBands.speed, b.speed) ||
+      bandOrder(consumptionBands.ext_temp, a.ext_temp) - bandOrder(consumptionBands.ext_temp, b.ext_temp) ||
+      ['descent', 'flat', 'climb'].indexOf(a.road) - ['descent', 'flat', 'climb'].indexOf(b.road);
+  });
+
+  Logger.log(padStart('Speed kph', 10) + padStart('Temp °C', 9) + padStart('Road', 9) + padStart('Wh/km', 8) + padStart('km', 8));
+  buckets.forEach(function(bucket) {
+    Logger.log(padStart(bucket.speed, 10) + padStart(bucket.ext_temp, 9) + padStart(bucket.road, 9) +
+      padStart(round(bucket.energy * 1000 / bucket.distance), 8) + padStart(round(bucket.distance, 1), 8));
+  });
+
+  var referenceBand = bandLabel(consumptionBands.speed, REFERENCE_SPEED);
+  var energy = 0;
+  var distance = 0;
+  buckets.forEach(function(bucket) {
+    if (bucket.speed === referenceBand && bucket.road === 'flat') {
+      energy += bucket.energy;
+      distance += bucket.distance;
+    }
   });
+  if (distance > 0) {
+    Logger.log('Reference consumption (' + referenceBand + ' kph, flat): ' + round(energy * 1000 / distance) +
+      ' Wh/km over ' + round(distance, 1) + ' km');
+  }
 }
 
 /**
@@ -747,56 +3861,164 @@ function info() {
  */
 function onetime() {
   if (!validateUsrAbrpConfig()) {
+    setTestResult('Not sent, user token not set');
     return
   }
   var telemetry = createTelemetry();
-  sendTelemetry(telemetry)
+  if (!telemetry) {
+    Logger.warn('Not sending inside privacy zone ' + currentPrivacyZone);
+    setTestResult('Not sent, inside privacy zone ' + currentPrivacyZone);
+    return;
+  }
+  sendTelemetry(applyFieldSettings(telemetry))
 }
 
 /**
- * Controls the sending of data based on the provided `shouldSend` flag.
+ * Controls the sending of data based on the provided `shouldSend` flag, see `start` and `stop`.
  * @param {boolean} shouldSend - Indicates whether to start or stop sending data.
  */
 function send(shouldSend) {
-  // Check if config is valid
-  if (!validateUsrAbrpConfig()) return;
-
-  // Check if time is valid
-  if (!isTimeValid) {
-    Logger.error('Cannot send data: GPS time is invalid.');
-    return;
-  }
-
-  if (shouldSend && !isActive) {
-    Logger.info('Start sending data...');
-    manageVehicleStateEvents(true);
-  } else if (!shouldSend && isActive) {
-    Logger.info('Stop sending data');
-    manageVehicleStateEvents(false);
+  if (shouldSend) {
+    start();
   } else {
-    Logger.warn(isActive ? 'Already running!' : 'Already stopped!');
+    stop();
   }
 }
 
 /**
- * Resets the ABRP configuration to default values.
+ * Resets the ABRP configuration to default values, removing the user token and every setting.
  */
 function resetConfig() {
   send(0);
   OvmsConfig.Delete('usr', 'abrp.user_token')
+  settingsMap.forEach(function(definition) {
+    OvmsConfig.Delete('usr', 'abrp.' + definition.key);
+  });
+  loadSettings();
   OvmsNotify.Raise('info', 'usr.abrp.status', 'ABRP::usr abrp config reset')
 }
 
+// Shell Commands
+
+/**
+ * Logs the queue depth of each sink, or sends or clears the queues.
+ *
+ * @param {string} [action] - 'flush' to send the queues now, ignoring any backoff, or
+ *   'clear' to discard the queued telemetry.
+ */
+function manageQueues(action) {
+  sinks.forEach(function(sink) {
+    var state = sink.state;
+    if (!sink.isEnabled()) {
+      Logger.log(sink.label + ' queue: disabled');
+      return;
+    }
+    if (action === 'flush') {
+      Logger.log('Sending ' + sink.label + ' queue: ' + state.queue.length + ' entries');
+      state.nextSendAttempt = 0;
+      sendBulkTelemetry(sink);
+    } else if (action === 'clear') {
+      Logger.log('Cleared ' + sink.label + ' queue: ' + state.queue.length + ' entries');
+      state.pointsDropped += state.queue.length;
+      removeTelemetry(sink, state.queue.slice(), true);
+    } else {
+      Logger.log(sink.label + ' queue: ' + state.queue.length + ' entries' +
+        (isSinkPaused(sink) ? ', paused as the ' + sink.credentialsLabel + ' was rejected' : ''));
+    }
+  });
+}
+
+/**
+ * shellCommands defines the `abrp` OVMS shell commands, also available from the OVMS app
+ *   and over SMS.
+ *
+ * Each entry contains the following properties:
+ * - name: The subcommand, e.g. 'status' for `abrp status`.
+ * - title: The help text.
+ * - usage: (Optional) The usage of the optional argument, e.g. '[json]'.
+ * - values: (Optional) The values the optional argument can take.
+ * - execute: A function called with the argument, if any.
+ */
+const shellCommands = [
+  { name: 'status', title: 'Show the health of the plugin', execute: function() { status(); } },
+  { name: 'start', title: 'Start sending telemetry', execute: function() { send(true); } },
+  { name: 'stop', title: 'Stop sending telemetry', execute: function() { send(false); } },
+  { name: 'restart', title: 'Stop and start sending telemetry again', execute: function() { restart(); } },
+  { name: 'info', title: 'Show the telemetry that would be sent', usage: '[json]', values: ['json'],
+      execute: function(format) {
+        if (format === 'json') {
+          var telemetry = previewTelemetry();
+          Logger.log(JSON.stringify(telemetry ? applyFieldSettings(telemetry) : null));
+        } else {
+          info();
+        }
+      } },
+  { name: 'send-once', title: 'Send the current telemetry to ABRP once', execute: function() { onetime(); } },
+  { name: 'queue', title: 'Show, send (flush) or discard (clear) the telemetry queues', usage: '[flush|clear]',
+      values: ['flush', 'clear'], execute: manageQueues },
+  { name: 'reset', title: 'Reset the configuration, removing the user token and every setting',
+      execute: function() { resetConfig(); } },
+];
+
+/**
+ * Registers the `abrp` shell command and its subcommands. The OVMS shell checks the number
+ * of arguments, and the value of an optional argument is checked here.
+ */
+function registerShellCommands() {
+  OvmsCommand.Register(null, '', 'abrp', 'A Better Routeplanner telemetry');
+  shellCommands.forEach(function(command) {
+    OvmsCommand.Register(function(path, argv) {
+      var argument = argv[0];
+      if (argument !== undefined && (command.values || []).indexOf(argument) < 0) {
+        Logger.log('Error: unknown argument "' + argument + '"\nUsage: abrp ' + command.name + ' ' + command.usage);
+        return;
+      }
+      command.execute(argument);
+    }, 'abrp', command.name, command.title, command.usage || '', 0, command.values ? 1 : 0);
+  });
+}
+
+/**
+ * Unregisters the `abrp` shell command and its subcommands, so a copy of the plugin loaded
+ * later can register its own. The module keeps a command that is already registered.
+ */
+function unregisterShellCommands() {
+  shellCommands.forEach(function(command) {
+    OvmsCommand.Unregister('abrp ' + command.name);
+  });
+  OvmsCommand.Unregister('abrp');
+}
+
 // Main Initialization Logic
-overrideMetricMap();
-subscribe('ticker.1', checkTime);
+// A copy of the plugin loaded before, e.g. required again, would handle every event twice
+var globalScope = new Function('return this')();
+if (globalScope.abrpPlugin) {
+  globalScope.abrpPlugin.release();
+}
+globalScope.abrpPlugin = { release: release };
+watchConfig();
+sinks.forEach(loadTelemetryQueue);
+recordLogs.forEach(loadRecordLog);
+loadConsumptionModel();
+loadDataUsage();
+registerShellCommands();
+subscribe('startup', 'ticker.1', startup);
 
 // Module exports
 module.exports = {
   medianPowerMetrics, // jest
   info,
+  status,
+  describeSettings, // web page
   onetime,
   send,
+  start,
+  stop,
+  restart,
   resetConfig,
   round, // jest
+  trips,
+  charges,
+  chargeCurve,
+  consumption,
 }
@@ -1,6 +1,91 @@
-const { medianPowerMetrics, omitNil, round } = require('./abrp')
+const { createOvms } = require('../emulator/ovms')
+const { parseRecording, replay } = require('../emulator/replay')
+
+const VALID_UTC = 1727000000 // 2024-09-22
+const TOKEN = 'test-token'
+const PARKED = {
+  'v.e.on': false,
+  'v.e.parktime': 3600,
+  'v.b.soc': 80,
+  'v.b.power': 0,
+  'v.p.speed': 0,
+  'v.p.latitude': -36.8485,
+  'v.p.longitude': 174.7633,
+  'v.c.charging': false,
+}
+const DRIVING = {
+  'v.e.on': true,
+  'v.e.parktime': 0,
+  'v.b.power': 15,
+  'v.p.speed': 50,
+}
+
+let emulators = []
+
+/**
+ * Loads a fresh copy of the plugin against a new OVMS emulator. Takes the
+ * emulator options, plus `usr` config added to the test token and `ticks`
+ * seconds to run the clock for, e.g. to a valid time with the files loaded.
+ */
+function boot(options) {
+  options = options || {}
+  const ovms = createOvms(
+    Object.assign({ utc: VALID_UTC, metrics: PARKED }, options, {
+      config: Object.assign(
+        { usr: Object.assign({ 'abrp.user_token': TOKEN }, options.usr) },
+        options.config
+      ),
+    })
+  )
+  ovms.install()
+  emulators.push(ovms)
+  let abrp
+  jest.isolateModules(() => {
+    abrp = require('./abrp')
+  })
+  ovms.tick(options.ticks || 0)
+  return { ovms, abrp }
+}
+
+function bulkPosts(ovms) {
+  return ovms.http.requests.filter((request) => request.method === 'POST')
+}
+
+function tlmList(request) {
+  return JSON.parse(request.body).data[0].tlm_list
+}
+
+/**
+ * Returns the telemetry entries in the ABRP queue file.
+ */
+function queued(ovms) {
+  return ovms.vfs.files['/store/abrp/queue.jsonl']
+    .split('\n')
+    .filter((line) => line)
+    .map((line) => JSON.parse(line))
+}
+
+/**
+ * Sets the metrics returned for each second and runs the clock.
+ */
+function drive(ovms, seconds, metrics) {
+  for (let i = 0; i < seconds; i++) {
+    ovms.metrics.set(metrics(i))
+    ovms.tick()
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  emulators.reverse().forEach((ovms) => ovms.uninstall())
+  emulators = []
+})
 
 describe('medianPowerMetrics', () => {
+  let medianPowerMetrics
+  beforeEach(() => {
+    medianPowerMetrics = boot().abrp.medianPowerMetrics
+  })
   test('should return null with no array elements', () => {
     expect(medianPowerMetrics([])).toBeNull()
   })
@@ -44,22 +129,11 @@ describe('medianPowerMetrics', () => {
   })
 })
 
-describe('omitNil', () => {
-  test('should work as expected', () => {
-    expect(
-      omitNil({
-        foo: 'foo',
-        bar: 'bar',
-        spaz: null,
-      })
-    ).toEqual({
-      foo: 'foo',
-      bar: 'bar',
-    })
-  })
-})
-
 describe('round', () => {
+  let round
+  beforeEach(() => {
+    round = boot().abrp.round
+  })
   test('should default to no decimal', () => {
     expect(round(12)).toBe(12)
     expect(round(12.34567)).toBe(12)
@@ -69,3 +143,1974 @@ describe('round', () => {
     expect(round(12.34, 6)).toBe(12.34)
   })
 })
+
+describe('checkTime', () => {
+  test('should start collecting before the time is valid', () => {
+    const { ovms } = boot({ utc: 10 })
+    ovms.tick(5)
+    // Telemetry and the trip recorder
+    expect(ovms.subscriptions('vehicle.on')).toBe(2)
+    expect(ovms.subscriptions('ticker.10')).toBe(1)
+    expect(ovms.output.join('')).toContain('Invalid time')
+  })
+  test('should backfill telemetry buffered before the time was valid', () => {
+    const { ovms } = boot({
+      utc: 10,
+      metrics: Object.assign({}, PARKED, DRIVING),
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(6)
+    expect(ovms.vfs.files['/store/abrp/queue.jsonl']).toBe('')
+
+    ovms.setTime(VALID_UTC)
+    ovms.tick(6)
+    const utcs = queued(ovms).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC - 5, VALID_UTC, VALID_UTC + 5])
+  })
+  test('should discard buffered telemetry not after the queued telemetry', () => {
+    const stored = JSON.stringify({ utc: VALID_UTC - 2, soc: 81 }) + '\n'
+    const { ovms } = boot({
+      utc: 10,
+      metrics: Object.assign({}, PARKED, DRIVING),
+      files: { '/store/abrp/queue.jsonl': stored },
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(6)
+    ovms.setTime(VALID_UTC)
+    ovms.tick(2)
+    const utcs = queued(ovms).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC - 2, VALID_UTC])
+  })
+  test('should use the GPS time while the system time is not set', () => {
+    const { ovms } = boot({
+      utc: 10,
+      metrics: Object.assign({}, PARKED, DRIVING),
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(2)
+    ovms.metrics.set('v.p.gpstime', VALID_UTC)
+    ovms.tick(5)
+    const utcs = queued(ovms).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC - 2, VALID_UTC + 3])
+    expect(ovms.output.join('')).toContain('GPS time is valid')
+  })
+  test('should fix the start of a trip started before the time was valid', () => {
+    const { ovms } = boot({
+      utc: 10,
+      metrics: Object.assign({}, PARKED, DRIVING, { 'v.p.odometer': 1000 }),
+    })
+    ovms.tick(10)
+    ovms.setTime(VALID_UTC)
+    ovms.tick(90)
+    ovms.metrics.set({ 'v.p.odometer': 1020 })
+    ovms.metrics.set(PARKED)
+    ovms.publish('vehicle.off')
+    ovms.tick()
+    const trip = JSON.parse(ovms.vfs.files['/store/abrp/trips.jsonl'])
+    expect(trip).toMatchObject({
+      start_utc: VALID_UTC - 9,
+      end_utc: VALID_UTC + 90,
+    })
+  })
+  test('should raise a notification when the user token is missing', () => {
+    const { ovms } = boot({ config: { usr: {} } })
+    ovms.tick()
+    expect(ovms.subscriptions('vehicle.on')).toBe(0)
+    expect(ovms.notifications).toEqual([
+      {
+        type: 'error',
+        subtype: 'usr.abrp.status',
+        message: 'ABRP::config usr abrp.user_token not set',
+      },
+    ])
+  })
+})
+
+describe('sendBulkTelemetry', () => {
+  test('should post queued telemetry and remove it once accepted', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(10)
+    const posts = bulkPosts(ovms)
+    expect(posts).toHaveLength(1)
+    expect(posts[0].url).toContain('https://api.iternio.com/1/tlm/bulk')
+    const body = JSON.parse(posts[0].body)
+    expect(body.data[0].token).toBe(TOKEN)
+    expect(body.data[0].tlm_list[0]).toMatchObject({
+      utc: VALID_UTC + 1,
+      soc: 80,
+      power: 15,
+      speed: 50,
+      is_parked: false,
+    })
+
+    ovms.tick(10)
+    const next = tlmList(bulkPosts(ovms)[1])
+    expect(next[0].utc).toBeGreaterThan(VALID_UTC + 10)
+  })
+  test('should keep the queue when ABRP rejects the request', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    jest.spyOn(Math, 'random').mockReturnValue(0)
+    ovms.http.respondWith({ statusCode: 500 })
+    ovms.tick(20)
+    const posts = bulkPosts(ovms)
+    expect(posts).toHaveLength(2)
+    expect(tlmList(posts[1]).slice(0, tlmList(posts[0]).length)).toEqual(
+      tlmList(posts[0])
+    )
+  })
+  test('should keep the queue on network errors', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    jest.spyOn(Math, 'random').mockReturnValue(0)
+    ovms.http.respondWith({ error: 'timeout' })
+    ovms.tick(20)
+    const posts = bulkPosts(ovms)
+    expect(tlmList(posts[1]).length).toBeGreaterThan(tlmList(posts[0]).length)
+  })
+})
+
+describe('sendBulkTelemetry retries', () => {
+  test('should keep one request in flight and only dequeue what was sent', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ statusCode: 200, delay: 15 })
+    ovms.tick(29)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+
+    ovms.tick(1)
+    const posts = bulkPosts(ovms)
+    expect(posts).toHaveLength(2)
+    const first = tlmList(posts[0]).map((tlm) => tlm.utc)
+    const second = tlmList(posts[1]).map((tlm) => tlm.utc)
+    expect(first).toEqual([VALID_UTC + 1, VALID_UTC + 6])
+    expect(second).toEqual([
+      VALID_UTC + 11,
+      VALID_UTC + 16,
+      VALID_UTC + 21,
+      VALID_UTC + 26,
+    ])
+  })
+  test('should back off exponentially after failures', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    jest.spyOn(Math, 'random').mockReturnValue(1)
+    ovms.http.respondWith({ statusCode: 503 })
+    ovms.tick(110)
+    expect(bulkPosts(ovms).map((request) => request.uptime)).toEqual([
+      10, 30, 60, 110,
+    ])
+
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.tick(100)
+    expect(bulkPosts(ovms).map((request) => request.uptime)).toEqual([
+      10, 30, 60, 110, 200, 210,
+    ])
+  })
+  test('should drop a batch rejected with a 4xx response', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ statusCode: 400 })
+    ovms.tick(20)
+    const posts = bulkPosts(ovms)
+    expect(tlmList(posts[1])[0].utc).toBe(VALID_UTC + 11)
+  })
+  test('should pause sending until a rejected token is changed', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ statusCode: 401 })
+    ovms.tick(60)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+    expect(ovms.output.join('')).toContain('ABRP rejected the user token')
+
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.config.Set('usr', 'abrp.user_token', 'new-token')
+    ovms.tick(10)
+    const posts = bulkPosts(ovms)
+    expect(posts).toHaveLength(2)
+    expect(JSON.parse(posts[1].body).data[0].token).toBe('new-token')
+    expect(tlmList(posts[1])[0]).toEqual(tlmList(posts[0])[0])
+  })
+})
+
+describe('bulk batching and queue overflow', () => {
+  const QUEUE_FILE = '/store/abrp/queue.jsonl'
+
+  function storedQueue(entries) {
+    return entries.map((entry) => JSON.stringify(entry) + '\n').join('')
+  }
+
+  function routineEntries(count) {
+    const entries = []
+    let utc = 1000
+    for (let i = 0; i < count; i++) {
+      utc += i > 40 && i <= 60 ? 1 : 5 // A dense stretch in the middle
+      entries.push({ utc, soc: 50, power: 10, is_charging: false })
+    }
+    return entries
+  }
+
+  function storedUtcs(ovms) {
+    return queued(ovms).map((tlm) => tlm.utc)
+  }
+
+  test('should split a large queue into consecutive bulk posts', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      files: { [QUEUE_FILE]: storedQueue(routineEntries(70)) },
+    })
+    ovms.tick(11)
+    const posts = bulkPosts(ovms)
+    expect(posts.map((request) => request.uptime)).toEqual([10, 11])
+    expect(tlmList(posts[0])).toHaveLength(50)
+    expect(tlmList(posts[1])).toHaveLength(22)
+  })
+  test('should limit the size of a bulk post', () => {
+    const entries = routineEntries(20).map((entry) =>
+      Object.assign(entry, { pad: 'x'.repeat(1000) })
+    )
+    const { ovms } = boot({ files: { [QUEUE_FILE]: storedQueue(entries) } })
+    ovms.tick(10)
+    const post = bulkPosts(ovms)[0]
+    expect(post.body.length).toBeLessThanOrEqual(16 * 1024)
+    expect(tlmList(post)).toEqual(entries.slice(0, tlmList(post).length))
+    expect(tlmList(post).length).toBeGreaterThan(10)
+  })
+  test('should thin dense routine entries and keep state transitions on overflow', () => {
+    const entries = routineEntries(100)
+    entries[70].soc = 49
+    entries.slice(71).forEach((entry) => (entry.soc = 49))
+    entries[80].is_charging = true
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      files: { [QUEUE_FILE]: storedQueue(entries) },
+    })
+    ovms.tick(3)
+    const utcs = storedUtcs(ovms)
+    expect(utcs).toHaveLength(100)
+    expect(utcs).not.toContain(entries[41].utc)
+    expect(utcs).toContain(entries[0].utc)
+    expect(utcs).toContain(entries[70].utc)
+    expect(utcs).toContain(entries[80].utc)
+    expect(utcs[99]).toBe(VALID_UTC + 1)
+  })
+  test('should thin a large queue to a much smaller size', () => {
+    const entries = routineEntries(5000)
+    const { ovms } = boot({
+      usr: { 'abrp.max_queue_size': '5000' },
+      files: { [QUEUE_FILE]: storedQueue(entries) },
+    })
+    ovms.tick()
+    ovms.config.Set('usr', 'abrp.max_queue_size', '10')
+    ovms.tick(3)
+    const utcs = storedUtcs(ovms)
+    expect(utcs).toHaveLength(10)
+    expect(utcs[0]).toBe(entries[0].utc)
+    expect(utcs[9]).toBe(entries[4999].utc)
+  })
+  test('should drop the oldest entries when all are state transitions', () => {
+    const entries = routineEntries(100)
+    entries.forEach((entry, i) => (entry.soc = 50 + (i % 2)))
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      files: { [QUEUE_FILE]: storedQueue(entries) },
+    })
+    ovms.tick(3)
+    const utcs = storedUtcs(ovms)
+    expect(utcs).toHaveLength(100)
+    expect(utcs[0]).toBe(entries[1].utc)
+  })
+})
+
+describe('queueTelemetryIfNecessary', () => {
+  test('should queue driving telemetry at the driving poll rate', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(10)
+    const utcs = tlmList(bulkPosts(ovms)[0]).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC + 1, VALID_UTC + 6])
+  })
+  test('should only queue significant changes while parked', () => {
+    const { ovms } = boot()
+    ovms.tick(10)
+    expect(bulkPosts(ovms)).toHaveLength(0)
+
+    ovms.metrics.set({ 'v.b.soc': 79, 'v.e.on': true })
+    ovms.publish('vehicle.on')
+    ovms.tick(10)
+    expect(tlmList(bulkPosts(ovms)[0])).toEqual([
+      expect.objectContaining({ soc: 79, utc: VALID_UTC + 10 }),
+    ])
+  })
+})
+
+describe('vehicle state machine', () => {
+  test('should stop collecting when the vehicle is switched off', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(3)
+    ovms.metrics.set(PARKED)
+    ovms.publish('vehicle.off')
+    ovms.tick(17)
+    const sent = bulkPosts(ovms).map(tlmList)
+    expect(sent[0].map((tlm) => tlm.is_parked)).toEqual([false, true])
+    expect(sent).toHaveLength(1)
+    ovms.tick(60)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+  })
+  test('should start collecting on charge start', () => {
+    const { ovms } = boot()
+    ovms.tick()
+    ovms.metrics.set({ 'v.c.charging': true, 'v.b.power': -7 })
+    ovms.publish('vehicle.charge.start')
+    ovms.tick(9)
+    expect(tlmList(bulkPosts(ovms)[0])).toEqual([
+      expect.objectContaining({ is_charging: true, power: -7 }),
+    ])
+  })
+  test('should keep polling when charging stops while switched on', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick()
+    ovms.metrics.set({ 'v.c.charging': true, 'v.b.power': -7 })
+    ovms.publish('vehicle.charge.start')
+    ovms.tick(2)
+    ovms.metrics.set({ 'v.c.charging': false, 'v.b.power': 15 })
+    ovms.publish('vehicle.charge.stop')
+    ovms.tick(7)
+    const sent = tlmList(bulkPosts(ovms)[0])
+    expect(sent.map((tlm) => tlm.utc - VALID_UTC)).toEqual([1, 1, 3, 8])
+    expect(sent[1]).toMatchObject({ is_charging: true })
+    expect(sent[3]).toMatchObject({ is_charging: false, speed: 50 })
+  })
+  test('should log and notify state transitions', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.state_notifications': 'yes' },
+    })
+    ovms.tick()
+    ovms.metrics.set('v.p.speed', 110)
+    ovms.tick()
+    ovms.metrics.set(PARKED)
+    ovms.metrics.set('v.e.hvac', true)
+    ovms.tick()
+    expect(
+      ovms.notifications.map((notification) => notification.message)
+    ).toEqual([
+      'ABRP::Vehicle state Off -> Driving',
+      'ABRP::Vehicle state Driving -> Highway (calibration)',
+      'ABRP::Vehicle state Highway (calibration) -> Preconditioning',
+    ])
+    expect(ovms.output.join('')).toContain(
+      'INFO: Vehicle state Driving -> Highway (calibration)'
+    )
+    abrp.info()
+    expect(ovms.output.join('')).toContain('Vehicle State: Preconditioning')
+  })
+  test('should not flip between driving and highway around the threshold', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.state_notifications': 'yes',
+        'abrp.bandwidth_saver': 'yes',
+      },
+    })
+    ovms.tick()
+    for (let i = 0; i < 60; i++) {
+      ovms.metrics.set('v.p.speed', i % 2 ? 69 : 71)
+      ovms.tick()
+    }
+    const sent = bulkPosts(ovms).map(tlmList).flat()
+    const queued = Number(ovms.exec('abrp queue').match(/(\d+) entries/)[1])
+    expect(sent.length + queued).toBeLessThanOrEqual(14)
+    expect(ovms.notifications.map((n) => n.message)).toEqual([
+      'ABRP::Vehicle state Off -> Driving',
+      'ABRP::Vehicle state Driving -> Highway (calibration)',
+    ])
+
+    ovms.metrics.set('v.p.speed', 65)
+    ovms.tick()
+    ovms.output.length = 0
+    abrp.info()
+    expect(ovms.output.join('')).toContain('Vehicle State: Highway')
+    ovms.metrics.set('v.p.speed', 55)
+    ovms.tick()
+    ovms.output.length = 0
+    abrp.info()
+    expect(ovms.output.join('')).toContain('Vehicle State: Driving')
+  })
+  test('should send less often while off', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(10)
+    ovms.metrics.set(PARKED)
+    ovms.publish('vehicle.off')
+    ovms.tick(50)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+    ovms.tick(10)
+    expect(bulkPosts(ovms)).toHaveLength(2)
+  })
+})
+
+describe('telemetry queue persistence', () => {
+  const QUEUE_FILE = '/store/abrp/queue.jsonl'
+
+  test('should append queued telemetry to the queue file', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(8)
+    expect(queued(ovms).map((tlm) => tlm.utc)).toEqual([
+      VALID_UTC + 1,
+      VALID_UTC + 6,
+    ])
+  })
+  test('should compact the queue file at most every 10 minutes after sends', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(13)
+    // Sent entries stay in the file until it is next compacted
+    expect(queued(ovms).map((tlm) => tlm.utc)).toEqual([
+      VALID_UTC + 1,
+      VALID_UTC + 6,
+      VALID_UTC + 11,
+    ])
+    ovms.tick(600)
+    expect(queued(ovms).map((tlm) => tlm.utc)).toEqual([
+      VALID_UTC + 601,
+      VALID_UTC + 606,
+      VALID_UTC + 611,
+    ])
+  })
+  test('should compact the queue file when cleared or stopped', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(13)
+    ovms.exec('abrp queue clear')
+    ovms.tick()
+    expect(queued(ovms)).toEqual([])
+
+    ovms.tick(10)
+    abrp.stop()
+    ovms.tick(2)
+    expect(queued(ovms)).toEqual([])
+  })
+  test('should restore and send the stored queue first on startup', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      files: {
+        [QUEUE_FILE]: '{"utc":1,"soc":90}\n{"utc":2,"so\n{"utc":3,"soc":89}\n',
+      },
+    })
+    ovms.tick(10)
+    expect(tlmList(bulkPosts(ovms)[0])).toEqual([
+      { utc: 1, soc: 90 },
+      { utc: 3, soc: 89 },
+      expect.objectContaining({ utc: VALID_UTC + 1 }),
+      expect.objectContaining({ utc: VALID_UTC + 6 }),
+    ])
+    expect(ovms.output.join('')).toContain('Skipping unreadable')
+  })
+  test('should keep the stored queue while ABRP is unreachable', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ error: 'timeout' })
+    ovms.tick(20)
+    expect(queued(ovms)).toHaveLength(4)
+  })
+})
+
+describe('settings', () => {
+  test('should read tunables from the usr abrp config', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.poll_rate_driving': '3',
+        'abrp.queue_file': '/sd/abrp.jsonl',
+      },
+    })
+    ovms.tick(10)
+    const utcs = tlmList(bulkPosts(ovms)[0]).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([
+      VALID_UTC + 1,
+      VALID_UTC + 4,
+      VALID_UTC + 7,
+      VALID_UTC + 10,
+    ])
+    expect(ovms.vfs.files['/sd/abrp.jsonl']).toBeDefined()
+    expect(ovms.notifications).toEqual([])
+  })
+  test('should reject invalid values once and use the default', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.poll_rate_driving': 'fast',
+        'abrp.bandwidth_saver': 'maybe',
+        'abrp.max_queue_size': '12.5',
+      },
+    })
+    ovms.config.Set('usr', 'abrp.debug', 'no')
+    expect(ovms.notifications.map((n) => n.message)).toEqual([
+      'ABRP::config usr abrp.bandwidth_saver "maybe" rejected, must be true or false. Using false',
+      'ABRP::config usr abrp.poll_rate_driving "fast" rejected, must be a number between 1 and 3600. Using 5',
+      'ABRP::config usr abrp.max_queue_size "12.5" rejected, must be a whole number between 10 and 5000. Using 100',
+    ])
+    ovms.tick(10)
+    const utcs = tlmList(bulkPosts(ovms)[0]).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC + 1, VALID_UTC + 6])
+  })
+  test('should apply changes live', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.debug': 'false' },
+    })
+    ovms.tick(10)
+    expect(ovms.output.join('')).not.toContain('DEBUG')
+
+    ovms.config.Set('usr', 'abrp.poll_rate_driving', '10')
+    ovms.config.Set('usr', 'abrp.debug', 'true')
+    ovms.tick(20)
+    const utcs = tlmList(bulkPosts(ovms)[2]).map((tlm) => tlm.utc)
+    expect(utcs).toEqual([VALID_UTC + 26])
+    expect(ovms.output.join('')).toContain(
+      'Setting abrp.poll_rate_driving changed to 10'
+    )
+    expect(ovms.output.join('')).toContain('DEBUG')
+  })
+  test('should reset every key', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.poll_rate_driving': '3',
+        'abrp.bandwidth_saver': 'yes',
+      },
+    })
+    ovms.tick()
+    abrp.resetConfig()
+    expect(ovms.config.GetValues('usr', 'abrp.')).toEqual({})
+    expect(ovms.notifications.map((n) => n.message)).toContain(
+      'ABRP::usr abrp config reset'
+    )
+  })
+})
+
+describe('vehicle profiles', () => {
+  function infoLines(ovms, abrp) {
+    ovms.output.length = 0
+    abrp.info()
+    return ovms.output.join('')
+  }
+
+  test('should apply the profile matching the vehicle type', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, {
+        'v.type': 'NL',
+        'v.b.soh': 90,
+        'xnl.v.b.soc.instrument': 77,
+        'xnl.v.b.soh.instrument': 85,
+        'xnl.v.b.range.instrument': 100,
+        'v.b.range.ideal': 150,
+      }),
+    })
+    const output = infoLines(ovms, abrp)
+    expect(output).toContain('Vehicle Profile: Nissan Leaf / e-NV200')
+    expect(output).toContain('State of Charge: 77 %')
+    expect(output).toContain('State of Health: 85 %')
+    expect(output).toContain('Estimated Range: 150 km')
+  })
+  test('should rebuild the metrics from scratch when the type changes', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, {
+        'v.type': 'NL',
+        'v.b.soh': 90,
+        'xnl.v.b.soc.instrument': 77,
+        'xnl.v.b.soh.instrument': 85,
+      }),
+    })
+    ovms.metrics.set('v.type', 'KS')
+    ovms.publish('vehicle.type.set')
+    let output = infoLines(ovms, abrp)
+    expect(output).toContain('Vehicle Profile: Kia Soul EV')
+    expect(output).toContain('State of Charge: 80 %')
+    expect(output).toContain(
+      'State of Health: unsupported, not reported for this vehicle'
+    )
+
+    ovms.metrics.set('v.type', 'XX')
+    ovms.publish('vehicle.type.set')
+    output = infoLines(ovms, abrp)
+    expect(output).toContain('Vehicle Profile: Generic')
+    expect(output).toContain('State of Health: 90 %')
+  })
+  test('should detect DC fast charging from the connector type', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, {
+        'v.type': 'RZ2',
+        'v.c.type': 'ccs',
+        'v.c.mode': 'standard',
+      }),
+    })
+    expect(infoLines(ovms, abrp)).toContain('DC Fast Charging: true')
+
+    ovms.metrics.set('v.type', 'TR')
+    ovms.metrics.set('v.c.mode', 'performance')
+    ovms.publish('vehicle.type.set')
+    expect(infoLines(ovms, abrp)).toContain('DC Fast Charging: false')
+  })
+})
+
+describe('derived metrics', () => {
+  function telemetryOnce(options) {
+    const { ovms, abrp } = boot(options)
+    ovms.tick()
+    abrp.onetime()
+    const request = ovms.http.requests[ovms.http.requests.length - 1]
+    return JSON.parse(
+      decodeURIComponent(request.url.split('&tlm=')[1].replace(/\+/g, ' '))
+    )
+  }
+
+  test('should use the configured capacity for capacity and soe', () => {
+    const tlm = telemetryOnce({
+      usr: { 'abrp.capacity': '64' },
+    })
+    expect(tlm.capacity).toBe(64)
+    expect(tlm.soe).toBe(51.2)
+  })
+  test('should derive the capacity from v.b.cac and the nominal pack voltage', () => {
+    const tlm = telemetryOnce({
+      metrics: Object.assign({}, PARKED, {
+        'v.type': 'NL',
+        'v.b.cac': 100,
+        'xnl.v.b.soc.instrument': 80,
+      }),
+    })
+    expect(tlm.capacity).toBe(36)
+    expect(tlm.soe).toBe(28.8)
+  })
+  test('should drop derived fields when an input is missing', () => {
+    const tlm = telemetryOnce({
+      metrics: Object.assign({}, PARKED, { 'v.b.cac': 100 }),
+    })
+    expect(tlm).not.toHaveProperty('capacity')
+    expect(tlm).not.toHaveProperty('soe')
+    expect(tlm).toHaveProperty('soc', 80)
+  })
+  test('should send the HVAC power of vehicles that report it', () => {
+    expect(
+      telemetryOnce({
+        metrics: Object.assign({}, PARKED, {
+          'v.type': 'RZ2',
+          'xrz2.h.compressor.power': 1.5,
+        }),
+      })
+    ).toHaveProperty('hvac_power', 1.5)
+
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, { 'v.e.hvac': true }),
+    })
+    abrp.info()
+    expect(ovms.output.join('')).toContain(
+      'HVAC Power: unsupported, not reported for this vehicle'
+    )
+  })
+})
+
+describe('telemetry sinks', () => {
+  const WEBHOOK_URL = 'https://ha.example.com/api/webhook/ovms'
+
+  function webhookPosts(ovms) {
+    return bulkPosts(ovms).filter((request) => request.url === WEBHOOK_URL)
+  }
+
+  test('should feed the same telemetry to ABRP and the webhook', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.webhook_url': WEBHOOK_URL },
+      config: { vehicle: { id: 'MYCAR' } },
+    })
+    ovms.tick(60)
+    const webhook = webhookPosts(ovms)
+    expect(webhook).toHaveLength(1)
+    expect(webhook[0].headers).toEqual([{ 'Content-Type': 'application/json' }])
+    const body = JSON.parse(webhook[0].body)
+    expect(body.vehicle_id).toBe('MYCAR')
+    expect(body.telemetry[0]).toEqual(
+      tlmList(bulkPosts(ovms).find((request) => request.url !== WEBHOOK_URL))[0]
+    )
+    // Sent entries are removed from the webhook queue file once it is compacted
+    ovms.tick(600)
+    expect(ovms.vfs.files['/store/abrp/webhook.jsonl']).not.toContain(
+      '"utc":' + (VALID_UTC + 1) + ','
+    )
+  })
+  test('should send on the webhook interval', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.webhook_url': WEBHOOK_URL,
+        'abrp.webhook_interval': '30',
+      },
+    })
+    ovms.tick(60)
+    expect(webhookPosts(ovms).map((request) => request.uptime)).toEqual([
+      10, 40,
+    ])
+  })
+  test('should apply the configured headers and field mapping', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.webhook_url': WEBHOOK_URL,
+        'abrp.webhook_headers': '{"Authorization": "Bearer abc"}',
+        'abrp.webhook_fields': '{"soc": "battery_level", "utc": "time"}',
+      },
+    })
+    ovms.tick(10)
+    const webhook = webhookPosts(ovms)[0]
+    expect(webhook.headers).toContainEqual({ Authorization: 'Bearer abc' })
+    expect(JSON.parse(webhook.body).telemetry[0]).toEqual({
+      battery_level: 80,
+      time: VALID_UTC + 1,
+    })
+  })
+  test('should keep retry state separate for each sink', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.webhook_url': WEBHOOK_URL },
+    })
+    ovms.http.respondWith((request) =>
+      request.url === WEBHOOK_URL ? { statusCode: 401 } : { statusCode: 200 }
+    )
+    ovms.tick(60)
+    expect(webhookPosts(ovms)).toHaveLength(1)
+    expect(bulkPosts(ovms).length - 1).toBe(6)
+    expect(ovms.output.join('')).toContain(
+      'Webhook rejected the webhook URL or headers'
+    )
+
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.config.Set(
+      'usr',
+      'abrp.webhook_headers',
+      '{"Authorization": "Bearer new"}'
+    )
+    ovms.tick(10)
+    expect(webhookPosts(ovms)).toHaveLength(2)
+  })
+  test('should send to the webhook without an ABRP token', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.user_token': '', 'abrp.webhook_url': WEBHOOK_URL },
+    })
+    ovms.tick(10)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+    expect(bulkPosts(ovms)[0].url).toBe(WEBHOOK_URL)
+  })
+})
+
+describe('trip recorder', () => {
+  const TRIP_FILE = '/store/abrp/trips.jsonl'
+
+  const TRIP_START = Object.assign({}, PARKED, {
+    'v.p.odometer': 1000,
+    'v.e.temp': 15,
+  })
+
+  test('should record a trip from vehicle on to off', () => {
+    const { ovms, abrp } = boot({ metrics: TRIP_START, ticks: 2 })
+    ovms.metrics.set('v.e.on', true)
+    ovms.publish('vehicle.on')
+    // 36 km/h for 100 s is 1 km, using 18 kW is 0.5 kWh
+    drive(ovms, 100, (i) => ({
+      'v.p.odometer': 1000 + (i + 1) / 100,
+      'v.p.speed': i === 50 ? 60 : 36,
+      'v.b.power': 18,
+      'v.b.soc': 80 - (i + 1) / 100,
+      'v.e.temp': 15 + (i % 3),
+      'v.p.latitude': -36.9,
+    }))
+    ovms.metrics.set('v.e.on', false)
+    ovms.publish('vehicle.off')
+    ovms.tick()
+
+    const trip = JSON.parse(ovms.vfs.files[TRIP_FILE])
+    expect(trip).toEqual({
+      start_utc: VALID_UTC + 2,
+      end_utc: VALID_UTC + 102,
+      start_lat: -36.8485,
+      start_lon: 174.7633,
+      end_lat: -36.9,
+      end_lon: 174.7633,
+      distance: 1,
+      start_soc: 80,
+      end_soc: 79,
+      soc_used: 1,
+      energy_used: 0.5,
+      avg_speed: 36,
+      max_speed: 60,
+      consumption: 500,
+      min_ext_temp: 15,
+      max_ext_temp: 17,
+    })
+
+    abrp.trips()
+    expect(ovms.output.join('')).toContain(
+      '2024-09-22 10:13 - 10:15 UTC: 1 km, 0.5 kWh, 500 Wh/km, SOC 80 -> 79 %'
+    )
+  })
+  test('should not record trips without any distance', () => {
+    const { ovms, abrp } = boot({ metrics: TRIP_START, ticks: 2 })
+    ovms.publish('vehicle.on')
+    ovms.tick(60)
+    ovms.publish('vehicle.off')
+    ovms.tick()
+    expect(ovms.vfs.files[TRIP_FILE]).toBeUndefined()
+    abrp.trips()
+    expect(ovms.output.join('')).toContain('No trips recorded')
+  })
+  test('should list stored trips, newest first', () => {
+    const stored = [1, 2, 3].map((distance) =>
+      JSON.stringify({
+        start_utc: VALID_UTC + distance * 3600,
+        end_utc: VALID_UTC + distance * 3600 + 600,
+        distance,
+        energy_used: distance / 5,
+        consumption: 200,
+        soc_used: null,
+        avg_speed: distance * 6,
+        max_speed: 50,
+        min_ext_temp: null,
+      })
+    )
+    const { ovms, abrp } = boot({
+      metrics: TRIP_START,
+      files: { [TRIP_FILE]: stored.join('\n') + '\n' },
+      ticks: 2,
+    })
+    abrp.trips(2)
+    const listed = ovms.output.filter((line) => line.indexOf(' km, ') > 0)
+    expect(listed).toHaveLength(2)
+    expect(listed[0]).toContain('3 km')
+    expect(listed[1]).toContain('2 km')
+  })
+})
+
+describe('charging session recorder', () => {
+  const CHARGE_FILE = '/store/abrp/charges.jsonl'
+
+  test('should record energy, power, location and battery temperature', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, { 'v.b.temp': 20, 'v.b.soc': 20 }),
+    })
+    ovms.tick(2)
+    ovms.metrics.set({ 'v.c.charging': true, 'v.c.mode': 'performance' })
+    ovms.publish('vehicle.charge.start')
+    // 50 kW for 36 s, peaking at 60 kW, is 0.5 kWh
+    for (let i = 0; i < 36; i++) {
+      ovms.metrics.set({
+        'v.b.power': i === 10 ? -60 : i === 20 ? -40 : -50,
+        'v.b.soc': 20 + i,
+        'v.b.temp': 20 + i / 5,
+      })
+      ovms.tick()
+    }
+    ovms.metrics.set('v.c.charging', false)
+    ovms.publish('vehicle.charge.stop')
+    ovms.tick()
+
+    expect(JSON.parse(ovms.vfs.files[CHARGE_FILE])).toEqual({
+      start_utc: VALID_UTC + 2,
+      end_utc: VALID_UTC + 38,
+      lat: -36.8485,
+      lon: 174.7633,
+      start_soc: 20,
+      end_soc: 55,
+      energy_added: 0.5,
+      peak_power: 60,
+      avg_power: 50,
+      is_dcfc: true,
+      charge_type: null,
+      start_batt_temp: 20,
+      end_batt_temp: 27,
+    })
+
+    abrp.charges()
+    expect(ovms.output.join('')).toContain(
+      '2024-09-22 10:13 - 10:13 UTC: DC, 0.5 kWh, peak 60 kW, avg 50 kW, SOC 20 -> 55 %, at -36.8485, 174.7633'
+    )
+  })
+  test('should record AC sessions and keep them over restarts', () => {
+    const { ovms } = boot()
+    ovms.tick(2)
+    ovms.metrics.set({ 'v.c.charging': true, 'v.b.power': -7 })
+    ovms.publish('vehicle.charge.start')
+    ovms.tick(3600)
+    ovms.publish('vehicle.charge.stop')
+    ovms.tick()
+    const stored = ovms.vfs.files[CHARGE_FILE]
+    expect(JSON.parse(stored)).toMatchObject({
+      energy_added: 7,
+      is_dcfc: false,
+    })
+
+    const restarted = boot({ files: { [CHARGE_FILE]: stored } })
+    restarted.ovms.tick(2)
+    restarted.abrp.charges()
+    expect(restarted.ovms.output.join('')).toContain(': AC, 7 kWh, peak 7 kW')
+  })
+})
+
+describe('DC charge curves', () => {
+  const CURVE_FILE = '/store/abrp/curves.jsonl'
+
+  function dcSession(ovms, power, temperature) {
+    ovms.metrics.set({ 'v.c.charging': true, 'v.c.mode': 'performance' })
+    ovms.publish('vehicle.charge.start')
+    for (let i = 0; i < 6; i++) {
+      ovms.metrics.set({
+        'v.b.soc': 20 + i / 2,
+        'v.b.power': -power + i,
+        'v.b.current': -power * 2.5,
+        'v.b.voltage': 400,
+        'v.b.temp': temperature,
+      })
+      ovms.tick()
+    }
+    ovms.metrics.set('v.c.charging', false)
+    ovms.publish('vehicle.charge.stop')
+    ovms.tick()
+  }
+
+  test('should bin power, current, voltage and temperature by SOC percent', () => {
+    const { ovms } = boot({ config: { vehicle: { id: 'MYCAR' } }, ticks: 2 })
+    dcSession(ovms, 100, 25)
+    expect(JSON.parse(ovms.vfs.files[CURVE_FILE])).toEqual({
+      start_utc: VALID_UTC + 2,
+      vehicle_id: 'MYCAR',
+      vehicle_type: null,
+      points: [
+        { soc: 20, power: 99.5, current: 250, voltage: 400, batt_temp: 25 },
+        { soc: 21, power: 97.5, current: 250, voltage: 400, batt_temp: 25 },
+        { soc: 22, power: 95.3, current: 250, voltage: 400, batt_temp: 25 },
+      ],
+    })
+  })
+  test('should not record curves for AC sessions', () => {
+    const { ovms } = boot({ config: { vehicle: { id: 'MYCAR' } }, ticks: 2 })
+    ovms.metrics.set({ 'v.c.charging': true, 'v.b.power': -7 })
+    ovms.publish('vehicle.charge.start')
+    ovms.tick(10)
+    ovms.publish('vehicle.charge.stop')
+    ovms.tick()
+    expect(ovms.vfs.files[CURVE_FILE]).toBeUndefined()
+  })
+  test('should compare a curve with earlier sessions', () => {
+    const { ovms, abrp } = boot({
+      config: { vehicle: { id: 'MYCAR' } },
+      ticks: 2,
+    })
+    dcSession(ovms, 100, 25)
+    dcSession(ovms, 60, 5)
+    abrp.chargeCurve()
+    const output = ovms.output.join('')
+    expect(output).toContain(
+      'SOC %      kW       A       V      °C  Earlier kW'
+    )
+    expect(output).toContain(
+      '   20    59.5     150     400       5        99.5 -40% slow'
+    )
+    expect(output).toContain(
+      '3 SOC points charged slower than earlier sessions, battery 5 to 5 °C'
+    )
+
+    ovms.output.length = 0
+    abrp.chargeCurve(2)
+    expect(ovms.output.join('')).toContain(
+      '   20    99.5     250     400      25\n'
+    )
+  })
+})
+
+describe('consumption model', () => {
+  const MODEL_FILE = '/store/abrp/consumption.json'
+
+  test('should bucket driving by speed, temperature and grade', () => {
+    const { ovms, abrp } = boot({ ticks: 2 })
+    ovms.publish('vehicle.on')
+    // 110 kph at 22 kW on the flat is 200 Wh/km
+    drive(ovms, 121, () => ({
+      'v.p.speed': 110,
+      'v.b.power': 22,
+      'v.e.temp': 15,
+      'v.p.altitude': 10,
+    }))
+    // 54 kph at 27 kW climbing 30 m over 900 m is 500 Wh/km
+    drive(ovms, 61, (i) => ({
+      'v.p.speed': 54,
+      'v.b.power': 27,
+      'v.e.temp': 15,
+      'v.p.altitude': 10 + i / 2,
+    }))
+    ovms.publish('vehicle.off')
+    ovms.tick()
+
+    const buckets = JSON.parse(ovms.vfs.files[MODEL_FILE]).buckets
+    expect(Object.keys(buckets)).toEqual([
+      '100-120|10-20|flat',
+      '40-60|10-20|climb',
+    ])
+    const whPerKm = (bucket) => (bucket.energy * 1000) / bucket.distance
+    // The segment spanning the change in speed mixes both
+    expect(whPerKm(buckets['100-120|10-20|flat'])).toBeCloseTo(200, -1)
+    expect(whPerKm(buckets['40-60|10-20|climb'])).toBeCloseTo(500, -1)
+
+    abrp.consumption()
+    const output = ovms.output.join('')
+    expect(output).toContain('Speed kph  Temp °C     Road   Wh/km      km')
+    expect(output).toMatch(/ {4}40-60 {4}10-20 {4}climb {5}500 {5}0\.9/)
+    expect(output).toMatch(
+      /Reference consumption \(100-120 kph, flat\): 20\d Wh\/km over 3\.\d km/
+    )
+  })
+  test('should average each bucket over a rolling window', () => {
+    const { ovms } = boot({
+      files: {
+        [MODEL_FILE]: JSON.stringify({
+          buckets: {
+            '100-120|10-20|flat': {
+              speed: '100-120',
+              ext_temp: '10-20',
+              road: 'flat',
+              energy: 150,
+              distance: 500,
+            },
+          },
+        }),
+      },
+      ticks: 2,
+    })
+    ovms.publish('vehicle.on')
+    drive(ovms, 61, () => ({
+      'v.p.speed': 110,
+      'v.b.power': 33,
+      'v.e.temp': 15,
+    }))
+    ovms.publish('vehicle.off')
+    ovms.tick()
+    const bucket = JSON.parse(ovms.vfs.files[MODEL_FILE]).buckets[
+      '100-120|10-20|flat'
+    ]
+    expect(bucket.distance).toBeCloseTo(500)
+    expect(bucket.energy).toBeGreaterThan(150)
+  })
+})
+
+describe('privacy zones', () => {
+  // PARKED is at -36.8485, 174.7633
+  const HOME = { lat: -36.849, lon: 174.763, radius: 200 }
+  const VEHICLE_ON = Object.assign({}, PARKED, { 'v.e.on': true })
+
+  test('should omit position fields by default', () => {
+    const { ovms } = boot({
+      metrics: VEHICLE_ON,
+      usr: { 'abrp.privacy_zones': JSON.stringify({ home: HOME }) },
+    })
+    ovms.tick(3)
+    const tlm = queued(ovms)[0]
+    expect(tlm).not.toHaveProperty('lat')
+    expect(tlm).not.toHaveProperty('lon')
+    expect(tlm).toHaveProperty('soc', 80)
+  })
+  test('should snap the position to the zone centre', () => {
+    const { ovms } = boot({
+      metrics: VEHICLE_ON,
+      usr: {
+        'abrp.privacy_zones': JSON.stringify({
+          home: Object.assign({ action: 'snap' }, HOME),
+        }),
+      },
+    })
+    ovms.tick(3)
+    expect(queued(ovms)[0]).toMatchObject({ lat: -36.849, lon: 174.763 })
+  })
+  test('should send nothing inside a suppressing zone', () => {
+    const { ovms } = boot({
+      metrics: VEHICLE_ON,
+      usr: {
+        'abrp.privacy_zones': JSON.stringify({
+          home: Object.assign({ action: 'suppress' }, HOME),
+        }),
+      },
+    })
+    ovms.tick(30)
+    expect(bulkPosts(ovms)).toHaveLength(0)
+  })
+  test('should notify when a zone is entered and left', () => {
+    const { ovms } = boot({
+      metrics: VEHICLE_ON,
+      usr: { 'abrp.privacy_zones': JSON.stringify({ home: HOME }) },
+    })
+    ovms.tick(2)
+    ovms.metrics.set(Object.assign({ 'v.p.latitude': -36.86 }, DRIVING))
+    ovms.tick(8)
+    expect(
+      ovms.notifications.map((notification) => notification.message)
+    ).toEqual([
+      'ABRP::privacy zone home entered',
+      'ABRP::privacy zone home left',
+    ])
+    const sent = tlmList(bulkPosts(ovms)[0])
+    expect(sent[0]).not.toHaveProperty('lat')
+    expect(sent.pop()).toHaveProperty('lat', -36.86)
+  })
+  test('should leave the zone state and notifications to sending, not info', () => {
+    const { ovms, abrp } = boot({
+      metrics: VEHICLE_ON,
+      usr: { 'abrp.privacy_zones': JSON.stringify({ home: HOME }) },
+    })
+    abrp.info()
+    ovms.exec('abrp info json')
+    expect(ovms.output.join('')).toContain('Privacy Zone: home (omit)')
+    expect(ovms.notifications).toEqual([])
+
+    ovms.tick(3)
+    expect(ovms.notifications.map((n) => n.message)).toEqual([
+      'ABRP::privacy zone home entered',
+    ])
+  })
+  test('should reject invalid zones', () => {
+    const { ovms } = boot({
+      metrics: VEHICLE_ON,
+      usr: {
+        'abrp.privacy_zones': JSON.stringify({
+          home: { lat: -36.849, lon: 174.763 },
+        }),
+      },
+    })
+    expect(ovms.notifications[0].message).toBe(
+      'ABRP::config usr abrp.privacy_zones "{"home":{"lat":-36.849,"lon":174.763}}" rejected, zone home needs a radius (m). Using {}'
+    )
+  })
+})
+
+describe('telemetry field settings', () => {
+  const FIELDS = Object.assign({}, PARKED, DRIVING, {
+    'v.p.altitude': 12.34,
+    'v.e.temp': 15.55,
+  })
+
+  test('should send only allowed fields, and always utc', () => {
+    const { ovms } = boot({
+      metrics: FIELDS,
+      usr: { 'abrp.field_allowlist': 'soc, power' },
+    })
+    ovms.tick(10)
+    expect(tlmList(bulkPosts(ovms)[0])[0]).toEqual({
+      utc: VALID_UTC + 1,
+      soc: 80,
+      power: 15,
+    })
+  })
+  test('should not send denied fields', () => {
+    const { ovms } = boot({
+      metrics: FIELDS,
+      usr: { 'abrp.field_denylist': 'lat,lon,utc' },
+    })
+    ovms.tick(10)
+    const tlm = tlmList(bulkPosts(ovms)[0])[0]
+    expect(tlm).not.toHaveProperty('lat')
+    expect(tlm).not.toHaveProperty('lon')
+    expect(tlm).toHaveProperty('utc')
+  })
+  test('should round fields to their precision', () => {
+    const { ovms } = boot({
+      metrics: FIELDS,
+      usr: {
+        'abrp.field_precision':
+          '{"lat": 3, "lon": 3, "elevation": 0, "ext_temp": 1}',
+      },
+    })
+    ovms.tick(10)
+    expect(tlmList(bulkPosts(ovms)[0])[0]).toMatchObject({
+      lat: -36.849,
+      lon: 174.763,
+      elevation: 12,
+      ext_temp: 15.6,
+    })
+  })
+  test('should reject unknown fields', () => {
+    const { ovms } = boot({
+      metrics: FIELDS,
+      usr: { 'abrp.field_denylist': 'lat,latitude' },
+    })
+    expect(ovms.notifications[0].message).toBe(
+      'ABRP::config usr abrp.field_denylist "lat,latitude" rejected, unknown telemetry latitude. Using []'
+    )
+  })
+  test('should show why fields are not sent', () => {
+    const { ovms, abrp } = boot({
+      metrics: FIELDS,
+      usr: {
+        'abrp.field_denylist': 'speed',
+        'abrp.field_precision': '{"elevation": 0}',
+      },
+    })
+    abrp.info()
+    const output = ovms.output.join('')
+    expect(output).toContain('GPS Elevation: 12 m')
+    expect(output).toContain(
+      'Vehicle Speed: suppressed, in abrp.field_denylist'
+    )
+    expect(output).toContain('Battery Temp: unsupported, no v.b.temp')
+  })
+})
+
+describe('significant change rules', () => {
+  const AC_CHARGING = Object.assign({}, PARKED, {
+    'v.e.on': true,
+    'v.c.charging': true,
+    'v.b.power': -7,
+    'v.b.temp': 20,
+    'v.p.direction': 350,
+  })
+
+  /**
+   * Applies one set of metric changes per second and returns the seconds at
+   * which telemetry was queued.
+   */
+  function queuedUtcs({ ovms }, changes) {
+    changes.forEach((metrics) => {
+      ovms.metrics.set(metrics)
+      ovms.tick()
+    })
+    ovms.tick(10 - (ovms.uptime() % 10))
+    return tlmList(bulkPosts(ovms)[0]).map((tlm) => tlm.utc - VALID_UTC)
+  }
+
+  test('should queue charging power changes of 1 kW by default', () => {
+    const utcs = queuedUtcs(boot({ metrics: AC_CHARGING }), [
+      {},
+      { 'v.b.power': -7.4 },
+      { 'v.b.power': -8.6 },
+      { 'v.b.temp': 25 },
+    ])
+    expect(utcs).toEqual([1, 3])
+  })
+  test('should apply configured rules in their vehicle state', () => {
+    const utcs = queuedUtcs(
+      boot({
+        metrics: AC_CHARGING,
+        usr: {
+          'abrp.change_rules': JSON.stringify({
+            batt_temp: {
+              key: 'batt_temp',
+              compare: 'delta',
+              threshold: 2,
+              state: 'ac_charging',
+            },
+            elevation: {
+              key: 'elevation',
+              compare: 'delta',
+              threshold: 50,
+              state: 'driving',
+            },
+          }),
+        },
+      }),
+      [{}, { 'v.b.temp': 21 }, { 'v.b.temp': 22 }, { 'v.p.altitude': 100 }]
+    )
+    expect(utcs).toEqual([1, 3])
+  })
+  test('should compare headings across north at low speed', () => {
+    const utcs = queuedUtcs(
+      boot({
+        metrics: AC_CHARGING,
+        usr: {
+          'abrp.change_rules': JSON.stringify({
+            heading: {
+              key: 'heading',
+              compare: 'angle',
+              threshold: 45,
+              max_speed: 30,
+            },
+          }),
+        },
+      }),
+      [{}, { 'v.p.direction': 20 }, { 'v.p.direction': 40 }]
+    )
+    expect(utcs).toEqual([1, 3])
+  })
+  test('should remove default rules set to null', () => {
+    const utcs = queuedUtcs(
+      boot({
+        metrics: AC_CHARGING,
+        usr: { 'abrp.change_rules': JSON.stringify({ charging_power: null }) },
+      }),
+      [{}, { 'v.b.power': -20 }, { 'v.b.soc': 81 }]
+    )
+    expect(utcs).toEqual([1, 3])
+  })
+  test('should reject invalid rules', () => {
+    const { ovms } = boot({
+      metrics: AC_CHARGING,
+      usr: {
+        'abrp.change_rules': JSON.stringify({
+          soc: { key: 'soc', compare: 'delta' },
+        }),
+      },
+    })
+    expect(ovms.notifications[0].message).toContain(
+      'rejected, rule soc needs a threshold. Using {}'
+    )
+  })
+})
+
+describe('telemetry data quality', () => {
+  test('should drop fields of stale metrics', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING, { 'v.e.temp': 15 }),
+    })
+    // Keep everything queued
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.metrics.stale('v.e.temp')
+    ovms.tick(3)
+    const tlm = queued(ovms)[0]
+    expect(tlm).not.toHaveProperty('ext_temp')
+    expect(tlm).toHaveProperty('soc', 80)
+  })
+  test('should drop the position without a good GPS fix', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING, { 'v.p.gpslock': false }),
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(6)
+    ovms.metrics.set({ 'v.p.gpslock': true, 'v.p.satcount': 3 })
+    ovms.tick(5)
+    ovms.metrics.set({ 'v.p.satcount': 9, 'v.p.gpshdop': 1.2 })
+    ovms.tick(6)
+    expect(queued(ovms).map((tlm) => 'lat' in tlm)).toEqual([
+      false,
+      false,
+      false,
+      true,
+    ])
+  })
+  test('should drop implausible jumps between samples', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(4)
+    ovms.metrics.set({ 'v.b.soc': 0, 'v.p.speed': 250 })
+    ovms.tick()
+    ovms.metrics.set({ 'v.b.soc': 80, 'v.p.speed': 52, 'v.p.latitude': -37 })
+    ovms.tick(5)
+    const sent = queued(ovms)
+    expect(sent.map((tlm) => [tlm.soc, tlm.speed, tlm.lat])).toEqual([
+      [80, 50, -36.8485],
+      [80, 52, undefined],
+    ])
+
+    abrp.info()
+    expect(ovms.output.join('')).toContain(
+      'Rejected (implausible): soc 1, speed 1, lat 1, lon 1'
+    )
+  })
+  test('should not queue rejected or stale fields as changes', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(6)
+    ovms.metrics.set({ 'v.b.soc': 0 })
+    ovms.tick()
+    ovms.metrics.set({ 'v.b.soc': 80 })
+    ovms.tick(2)
+    ovms.metrics.stale('v.b.soc')
+    ovms.tick()
+    ovms.metrics.stale('v.b.soc', false)
+    ovms.tick(2)
+    // Only the regular driving polls, no change queued by the missing soc
+    expect(queued(ovms).map((tlm) => [tlm.utc - VALID_UTC, tlm.soc])).toEqual([
+      [1, 80],
+      [6, 80],
+      [11, 80],
+    ])
+  })
+})
+
+describe('status', () => {
+  test('should report the health of the plugin and each sink', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+    })
+    ovms.tick(20)
+    ovms.output.length = 0
+    abrp.status()
+    const output = ovms.output.join('\n')
+    expect(output).toContain('Running: yes')
+    expect(output).toContain('Time Valid: yes')
+    expect(output).toContain('Vehicle State: Driving')
+    expect(output).toContain('Poll Interval: 5 s')
+    expect(output).toContain('ABRP Last HTTP Status: 200')
+    expect(output).toContain('ABRP Consecutive Failures: 0')
+    expect(output).toContain('ABRP Average Latency: 1 s')
+    expect(output).toContain('ABRP Points Sent: 2')
+    expect(output).toContain('ABRP Points Dropped: 0')
+    expect(output).toContain(
+      'ABRP Last Successful Send: ' +
+        new Date((VALID_UTC + 11) * 1000)
+          .toISOString()
+          .substring(0, 16)
+          .replace('T', ' ')
+    )
+    expect(output).not.toContain('Webhook')
+  })
+  test('should publish the status as usr.abrp metrics', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(20)
+    expect(ovms.metrics.get('usr.abrp.running')).toBe('true')
+    expect(ovms.metrics.get('usr.abrp.state')).toBe('driving')
+    expect(ovms.metrics.get('usr.abrp.last_status')).toBe('offline')
+    expect(ovms.metrics.get('usr.abrp.failures')).toBe('1')
+    expect(ovms.metrics.get('usr.abrp.sent')).toBe('0')
+    expect(ovms.metrics.get('usr.abrp.queue')).toBe('4')
+    expect(ovms.metrics.get('usr.abrp.last_success')).toBe('')
+  })
+  test('should count entries dropped when the queue overflows', () => {
+    const { ovms, abrp } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.max_queue_size': '10' },
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    // Queued every 5 s
+    ovms.tick(60)
+    abrp.status()
+    expect(ovms.output.join('\n')).toContain('ABRP Points Dropped: 2')
+    expect(ovms.metrics.get('usr.abrp.dropped')).toBe('2')
+  })
+})
+
+describe('web page support', () => {
+  test('should describe the settings without the user token', () => {
+    const { ovms, abrp } = boot({
+      usr: {
+        'abrp.poll_rate_driving': 'fast',
+        'abrp.field_denylist': 'heading',
+      },
+    })
+    ovms.output.length = 0
+    abrp.describeSettings()
+    expect(ovms.output.join('')).not.toContain(TOKEN)
+    const described = JSON.parse(ovms.output.join(''))
+    expect(described.has_user_token).toBe(true)
+    expect(described.settings).toContainEqual({
+      key: 'poll_rate_driving',
+      label: 'Driving Poll Rate',
+      type: 'number',
+      unit: 's',
+      default: 5,
+      value: 'fast',
+      rejected: true,
+    })
+    expect(described.settings).toContainEqual(
+      expect.objectContaining({
+        key: 'field_denylist',
+        default: '',
+        value: 'heading',
+        rejected: false,
+      })
+    )
+  })
+  test('should publish the result of a test point', () => {
+    const { ovms, abrp } = boot()
+    ovms.http.respondWith({ statusCode: 401, body: '{"status":"error"}' })
+    abrp.onetime()
+    ovms.tick()
+    // Double quotes cannot be passed through the metrics set command
+    expect(ovms.metrics.get('usr.abrp.test_result')).toBe(
+      "HTTP 401 {'status':'error'}"
+    )
+
+    ovms.http.respondWith({ error: 'timeout' })
+    abrp.onetime()
+    ovms.tick()
+    expect(ovms.metrics.get('usr.abrp.test_result')).toBe('Error: timeout')
+  })
+})
+
+describe('shell commands', () => {
+  test('should register the abrp command tree', () => {
+    const { ovms } = boot()
+    const help = ovms.exec('abrp')
+    const names = [
+      'status',
+      'start',
+      'stop',
+      'info',
+      'send-once',
+      'queue',
+      'reset',
+    ]
+    names.forEach((name) => expect(help).toContain(name))
+  })
+  test('should start and stop sending', () => {
+    const { ovms } = boot()
+    ovms.tick()
+    expect(ovms.exec('abrp stop')).toContain('Stop sending data')
+    expect(ovms.subscriptions('vehicle.on')).toBe(0)
+    expect(ovms.exec('abrp start')).toContain('Start sending data')
+    expect(ovms.subscriptions('vehicle.on')).toBe(2)
+    expect(ovms.exec('abrp status')).toContain('Running: yes')
+  })
+  test('should show the telemetry as JSON', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    expect(JSON.parse(ovms.exec('abrp info json'))).toMatchObject({
+      soc: 80,
+      speed: 50,
+      utc: VALID_UTC,
+    })
+    expect(ovms.exec('abrp info')).toContain('State of Charge: 80')
+  })
+  test('should reject unknown arguments with the usage', () => {
+    const { ovms } = boot()
+    expect(ovms.exec('abrp info xml')).toBe(
+      'Error: unknown argument "xml"\nUsage: abrp info [json]\n'
+    )
+    expect(ovms.exec('abrp status now')).toContain('Usage: abrp status')
+  })
+  test('should show, flush and clear the queues', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(12)
+    expect(ovms.exec('abrp queue')).toContain('ABRP queue: 3 entries')
+    expect(ovms.exec('abrp queue')).toContain('Webhook queue: disabled')
+
+    const posts = bulkPosts(ovms).length
+    ovms.http.respondWith({ statusCode: 200 })
+    expect(ovms.exec('abrp queue flush')).toContain(
+      'Sending ABRP queue: 3 entries'
+    )
+    expect(bulkPosts(ovms)).toHaveLength(posts + 1)
+    ovms.tick()
+    expect(ovms.exec('abrp queue')).toContain('ABRP queue: 0 entries')
+
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(10)
+    expect(ovms.exec('abrp queue clear')).toContain('Cleared ABRP queue')
+    expect(ovms.exec('abrp queue')).toContain('ABRP queue: 0 entries')
+  })
+  test('should send once and reset the configuration', () => {
+    const { ovms } = boot()
+    ovms.exec('abrp send-once')
+    expect(ovms.http.requests[0].url).toContain('/1/tlm/send')
+    ovms.exec('abrp reset')
+    expect(ovms.config.Get('usr', 'abrp.user_token')).toBeUndefined()
+  })
+})
+
+describe('delivery notifications', () => {
+  function alerts(ovms) {
+    return ovms.notifications.filter(
+      (notification) => notification.subtype === 'usr.abrp.status'
+    )
+  }
+
+  test('should notify a rejected token and the recovery', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.http.respondWith({ statusCode: 401 })
+    ovms.tick(30)
+    expect(alerts(ovms)).toEqual([
+      {
+        type: 'alert',
+        subtype: 'usr.abrp.status',
+        message:
+          'ABRP::ABRP rejected the user token (HTTP 401). Live data is paused until it is changed',
+      },
+    ])
+
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.config.Set('usr', 'abrp.user_token', 'new-token')
+    ovms.tick(11)
+    expect(alerts(ovms)[1]).toEqual({
+      type: 'info',
+      subtype: 'usr.abrp.status',
+      message: 'ABRP::ABRP delivery recovered, 0 entries queued',
+    })
+  })
+  test('should notify failing delivery once it lasts too long, rate limited', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.notify_failure_after': '120' },
+    })
+    jest.spyOn(Math, 'random').mockReturnValue(0)
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(100)
+    expect(alerts(ovms)).toHaveLength(0)
+
+    ovms.tick(900)
+    const failing = alerts(ovms).filter((alert) =>
+      alert.message.includes('delivery failing')
+    )
+    expect(failing).toHaveLength(1)
+    expect(failing[0]).toMatchObject({
+      type: 'alert',
+      message: expect.stringMatching(
+        /^ABRP::ABRP delivery failing for \d+ min \(ABRP error\), \d+ entries queued$/
+      ),
+    })
+
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.tick(20 * 60)
+    const recovered = alerts(ovms).slice(-1)[0]
+    expect(recovered).toMatchObject({
+      type: 'info',
+      message: expect.stringContaining('ABRP delivery recovered'),
+    })
+  })
+  test('should notify a full queue once per repeat interval', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: {
+        'abrp.max_queue_size': '10',
+        'abrp.notify_failure_after': '0',
+      },
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(120)
+    expect(alerts(ovms)).toEqual([
+      expect.objectContaining({
+        type: 'alert',
+        message:
+          'ABRP::ABRP telemetry queue full, 1 entries dropped. Telemetry has not been delivered for a while',
+      }),
+    ])
+
+    // A full queue is no delivery failure to recover from
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.tick(600)
+    expect(alerts(ovms)).toHaveLength(1)
+  })
+  test('should only notify a full queue when new telemetry overflows it', () => {
+    const QUEUE_FILE = '/store/abrp/queue.jsonl'
+    const stored = []
+    for (let utc = 1; utc <= 40; utc++) {
+      stored.push(JSON.stringify({ utc, soc: 90 }))
+    }
+    const { ovms } = boot({
+      usr: {
+        'abrp.max_queue_size': '20',
+        'abrp.notify_failure_after': '0',
+      },
+      files: { [QUEUE_FILE]: stored.join('\n') + '\n' },
+    })
+    ovms.http.respondWith({ error: 'offline' })
+    ovms.tick(5)
+    expect(queued(ovms)).toHaveLength(20)
+
+    ovms.config.Set('usr', 'abrp.max_queue_size', '10')
+    ovms.tick(5)
+    expect(queued(ovms)).toHaveLength(10)
+    expect(alerts(ovms)).toHaveLength(0)
+
+    // Delivering the trimmed queue is no recovery either
+    ovms.http.respondWith({ statusCode: 200 })
+    ovms.tick(600)
+    expect(ovms.exec('abrp queue')).toContain('ABRP queue: 0 entries')
+    expect(alerts(ovms)).toHaveLength(0)
+  })
+})
+
+describe('metric recorder and replay', () => {
+  const RECORD_FILE = '/sd/abrp/recording.jsonl'
+
+  function record(seconds) {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, { 'v.type': 'NL' }),
+      usr: { 'abrp.record_file': RECORD_FILE },
+    })
+    ovms.tick(5)
+    ovms.metrics.set(DRIVING)
+    ovms.publish('vehicle.on')
+    for (let i = 0; i < seconds; i++) {
+      ovms.metrics.set({ 'v.p.speed': 50 + (i % 7), 'v.b.soc': 80 - i / 100 })
+      ovms.tick()
+    }
+    ovms.metrics.set(PARKED)
+    ovms.publish('vehicle.off')
+    ovms.tick(20)
+    // Stopping appends the samples still buffered
+    ovms.exec('abrp stop')
+    ovms.tick()
+    return ovms.vfs.files[RECORD_FILE]
+  }
+
+  test('should record the metrics every second', () => {
+    const lines = record(100).trim().split('\n').map(JSON.parse)
+    expect(lines[0]).toMatchObject({ version: 1, vehicle_type: 'NL' })
+    // Including the metrics of the vehicle profile
+    const names = [
+      'm.time.utc',
+      'v.e.on',
+      'v.p.speed',
+      'xnl.v.b.soc.instrument',
+    ]
+    expect(lines[0].metrics).toEqual(expect.arrayContaining(names))
+    // From the first tick after starting to the last before stopping
+    expect(lines).toHaveLength(1 + 124)
+    const utc = lines[0].metrics.indexOf('m.time.utc')
+    expect(lines[1][utc]).toBe(VALID_UTC + 2)
+    expect(lines[124][utc]).toBe(VALID_UTC + 125)
+  })
+  test('should not record without a record file', () => {
+    const { ovms } = boot()
+    ovms.tick(20)
+    expect(Object.keys(ovms.vfs.files)).not.toContain(RECORD_FILE)
+  })
+  test('should replay a recording and compare settings', () => {
+    const samples = parseRecording(record(300))
+    expect(samples).toHaveLength(324)
+    expect(samples[10].values['v.e.on']).toBe(true)
+
+    const defaults = replay(samples)
+    const saver = replay(samples, { bandwidth_saver: 'yes' })
+    expect(defaults.queued).toBe(0)
+    // Queued on vehicle.on, as when recording
+    expect(defaults.points[0]).toMatchObject({ utc: VALID_UTC + 5, speed: 50 })
+    expect(defaults.requests).toBeGreaterThan(1)
+    expect(defaults.bytes).toBeGreaterThan(defaults.points.length * 50)
+    // Driving telemetry is queued every 5 s, or every 160 s with the saver
+    expect(defaults.points.length).toBeGreaterThan(55)
+    expect(saver.points.length).toBeLessThan(10)
+    expect(saver.bytes).toBeLessThan(defaults.bytes)
+  })
+})
+
+describe('data budget', () => {
+  const USAGE_FILE = '/store/abrp/usage.json'
+
+  /**
+   * Returns a usage file with the data used so far this month.
+   */
+  function storedUsage(monthBytes) {
+    return JSON.stringify({
+      days: {},
+      months: { '2024-09-01': monthBytes },
+    })
+  }
+
+  test('should count the data of every request in daily and monthly totals', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(60)
+    abrp.send(0)
+    ovms.tick()
+    const posted = bulkPosts(ovms).reduce(
+      (total, request) => total + request.body.length,
+      0
+    )
+    const usage = JSON.parse(ovms.vfs.files[USAGE_FILE])
+    expect(Object.keys(usage.days)).toEqual(['2024-09-22'])
+    expect(usage.days['2024-09-22']).toBeGreaterThan(posted)
+    expect(usage.months).toEqual({ '2024-09-01': usage.days['2024-09-22'] })
+
+    ovms.output.length = 0
+    abrp.info()
+    const output = ovms.output.join('')
+    expect(output).toMatch(
+      /Data Used: [\d.]+ MB today, [\d.]+ MB this month \(since 2024-09-01\)/
+    )
+    expect(output).toContain('Data Budget: none')
+  })
+  test('should add the configured overhead to every request', () => {
+    const usage = (overhead) => {
+      const { ovms, abrp } = boot({
+        metrics: Object.assign({}, PARKED, DRIVING),
+        usr: { 'abrp.data_request_overhead': overhead },
+      })
+      ovms.tick(60)
+      // Stopping saves the usage of the requests completed so far
+      const requests = ovms.http.requests.filter((r) => r.response).length
+      abrp.stop()
+      ovms.tick()
+      return {
+        requests,
+        bytes: JSON.parse(ovms.vfs.files[USAGE_FILE]).days['2024-09-22'],
+      }
+    }
+    const none = usage('0')
+    const estimated = usage('6000')
+    expect(estimated.requests).toBe(none.requests)
+    expect(estimated.bytes - none.bytes).toBe(6000 * none.requests)
+  })
+  test('should restore the totals and renew the budget on the reset day', () => {
+    const { ovms, abrp } = boot({
+      usr: {
+        'abrp.data_budget': '10',
+        'abrp.data_budget_reset_day': '25',
+      },
+      files: {
+        [USAGE_FILE]: JSON.stringify({
+          days: { '2024-09-21': 1000 },
+          months: { '2024-08-25': 6000000, '2024-07-25': 9000000 },
+        }),
+      },
+    })
+    ovms.tick()
+    ovms.output.length = 0
+    abrp.info()
+    expect(ovms.output.join('')).toContain(
+      'Data Budget: 4 MB of 10 MB remaining, Bandwidth saver'
+    )
+  })
+  test('should degrade sending as the budget is used up', () => {
+    const pollInterval = (monthBytes) => {
+      const { ovms } = boot({
+        metrics: Object.assign({}, PARKED, DRIVING),
+        usr: { 'abrp.data_budget': '10' },
+        files: { [USAGE_FILE]: storedUsage(monthBytes) },
+      })
+      ovms.tick(10)
+      return ovms.metrics.get('usr.abrp.poll_interval')
+    }
+    expect(pollInterval(0)).toBe('5')
+    expect(pollInterval(5000000)).toBe('160')
+    expect(pollInterval(7500000)).toBe('600')
+    expect(pollInterval(9000000)).toBe('')
+  })
+  test('should only send significant changes and notify the level', () => {
+    const { ovms } = boot({
+      metrics: Object.assign({}, PARKED, DRIVING),
+      usr: { 'abrp.data_budget': '10' },
+      files: { [USAGE_FILE]: storedUsage(8999500) },
+    })
+    ovms.tick(60)
+    expect(ovms.notifications).toContainEqual({
+      type: 'info',
+      subtype: 'usr.abrp.status',
+      message: 'ABRP::Data budget 90% used, sending: Significant changes only',
+    })
+
+    const sent = () =>
+      bulkPosts(ovms).reduce(
+        (total, request) => total + tlmList(request).length,
+        0
+      )
+    const before = sent()
+    ovms.tick(120)
+    expect(sent()).toBe(before)
+    ovms.metrics.set('v.b.soc', 79)
+    ovms.tick(20)
+    expect(sent()).toBe(before + 1)
+  })
+})
+
+describe('lifecycle', () => {
+  const TOPICS = [
+    'ticker.1',
+    'ticker.10',
+    'config.changed',
+    'vehicle.type.set',
+    'vehicle.on',
+    'vehicle.off',
+    'vehicle.charge.start',
+    'vehicle.charge.stop',
+  ]
+
+  function subscriptionCounts(ovms) {
+    const counts = {}
+    TOPICS.forEach((topic) => {
+      counts[topic] = ovms.subscriptions(topic)
+    })
+    return counts
+  }
+
+  function lifecycle(ovms, abrp) {
+    ovms.output.length = 0
+    abrp.status()
+    return ovms.output.join('').match(/Lifecycle: (.*)/)[1]
+  }
+
+  function expectReleased(ovms) {
+    expect(subscriptionCounts(ovms)).toEqual(
+      Object.assign({}, ...TOPICS.map((topic) => ({ [topic]: 0 })))
+    )
+  }
+
+  test('should release the subscriptions on stop and send the queue', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick(5)
+    expect(lifecycle(ovms, abrp)).toBe('Running')
+    expect(bulkPosts(ovms)).toHaveLength(0)
+
+    abrp.stop()
+    expect(lifecycle(ovms, abrp)).toBe('Stopped')
+    expectReleased(ovms)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+    expect(tlmList(bulkPosts(ovms)[0]).length).toBeGreaterThan(1)
+    ovms.tick(60)
+    expect(bulkPosts(ovms)).toHaveLength(1)
+  })
+  test('should start, stop and restart idempotently', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick()
+    const running = subscriptionCounts(ovms)
+    expect(running['ticker.10']).toBe(1)
+
+    abrp.start()
+    expect(ovms.output.join('')).toContain('Already running!')
+    expect(subscriptionCounts(ovms)).toEqual(running)
+    abrp.restart()
+    expect(subscriptionCounts(ovms)).toEqual(running)
+
+    abrp.stop()
+    ovms.output.length = 0
+    abrp.stop()
+    expect(ovms.output.join('')).toContain('Already stopped!')
+    abrp.restart()
+    expect(lifecycle(ovms, abrp)).toBe('Running')
+    expect(subscriptionCounts(ovms)).toEqual(running)
+  })
+  test('should apply settings and a new token changed while stopped on start', () => {
+    const { ovms, abrp } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    ovms.tick()
+    abrp.stop()
+    ovms.config.Set('usr', 'abrp.poll_rate_driving', '10')
+    ovms.config.Set('usr', 'abrp.user_token', 'new-token')
+    ovms.metrics.set({ 'v.type': 'NL' })
+    ovms.publish('vehicle.type.set')
+    expect(ovms.output.join('')).not.toContain('Setting abrp.poll_rate_driving')
+
+    abrp.start()
+    expect(ovms.output.join('')).toContain(
+      'Setting abrp.poll_rate_driving changed to 10'
+    )
+    expect(ovms.output.join('')).toContain('Vehicle type: NL')
+    ovms.tick(10)
+    const post = bulkPosts(ovms).slice(-1)[0]
+    expect(JSON.parse(post.body).data[0].token).toBe('new-token')
+  })
+  test('should wait for a valid time once started', () => {
+    const { ovms, abrp } = boot({ utc: 1000 })
+    ovms.tick()
+    expect(lifecycle(ovms, abrp)).toBe('Waiting for a valid time')
+    ovms.setTime(VALID_UTC)
+    ovms.tick()
+    expect(lifecycle(ovms, abrp)).toBe('Running')
+  })
+  test('should not start on the first tick once stopped', () => {
+    const { ovms, abrp } = boot()
+    abrp.stop()
+    ovms.tick(30)
+    expect(lifecycle(ovms, abrp)).toBe('Stopped')
+    expectReleased(ovms)
+  })
+  test('should handle events once when loaded twice', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    jest.isolateModules(() => {
+      require('./abrp')
+    })
+    ovms.tick(20)
+    expect(ovms.subscriptions('ticker.10')).toBe(1)
+    expect(ovms.subscriptions('config.changed')).toBe(1)
+    const utcs = bulkPosts(ovms).flatMap((request) =>
+      tlmList(request).map((tlm) => tlm.utc)
+    )
+    expect(utcs.filter((utc, index) => utcs.indexOf(utc) !== index)).toEqual([])
+  })
+  test('should hand the shell commands to the copy loaded last', () => {
+    const { ovms } = boot({ metrics: Object.assign({}, PARKED, DRIVING) })
+    let abrp
+    jest.isolateModules(() => {
+      abrp = require('./abrp')
+    })
+    ovms.tick()
+    ovms.exec('abrp stop')
+    expect(lifecycle(ovms, abrp)).toBe('Stopped')
+    expectReleased(ovms)
+  })
+})